@@ -0,0 +1,92 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("Audit Log Tests", () => {
+
+  let adminConfig = null;
+  let simpleConfig = null;
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+  });
+
+  it("should record the deletion of a user by an admin", async () => {
+    const registered = await registerVerifiedUser("testaudited@test.com", { "name": "Audited User" });
+    await axios.delete(prepare("/user/" + registered.id), adminConfig);
+
+    const response = await axios.get(prepare("/audit?action=user.delete&targetId=" + registered.id), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.data.length).toEqual(1);
+
+    const event = response.data.data[0];
+    expect(event.targetType).toEqual("user");
+    expect(event.actorRole).toEqual("Admin");
+    expect(event.changes.email).toEqual({ before: "testaudited@test.com", after: null });
+    expect(event.ip).toBeTruthy();
+  });
+
+  it("should record failed logins", async () => {
+    await axios.post(prepare("/login"), {
+      email: "testnobody@test.com",
+      password: "12345"
+    }).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+
+    const response = await axios.get(prepare("/audit?action=auth.login_failed"), adminConfig);
+    const event = response.data.data.find(event => event.details.email === "testnobody@test.com");
+    expect(event.actor).toBeNull();
+    expect(event.details.reason).toEqual("unknown_email");
+    expect.assertions(3);
+  });
+
+  it("should record an admin changing someone else's order", async () => {
+    const placed = await axios.post(prepare("/order"), { "type": "Box1" }, simpleConfig);
+    await axios.put(prepare("/order"), { "_id": placed.data._id, "description": "Changed by an admin" }, adminConfig);
+
+    const response = await axios.get(prepare("/audit?targetType=order&targetId=" + placed.data._id), adminConfig);
+    expect(response.data.data.length).toEqual(1);
+    expect(response.data.data[0].action).toEqual("order.update");
+    expect(response.data.data[0].changes.description.after).toEqual("Changed by an admin");
+  });
+
+  it("should not record owners changing their own orders", async () => {
+    const placed = await axios.post(prepare("/order"), { "type": "Box1" }, simpleConfig);
+    await axios.put(prepare("/order"), { "_id": placed.data._id, "description": "Changed by the owner" }, simpleConfig);
+
+    const response = await axios.get(prepare("/audit?targetId=" + placed.data._id), adminConfig);
+    expect(response.data.data.length).toEqual(0);
+  });
+
+  it("should refuse bad filters", async () => {
+    await axios.get(prepare("/audit?actor=nouser"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    await axios.get(prepare("/audit?from=notadate"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(2);
+  });
+
+  it("should block non-admins from reading the audit log", async () => {
+    await axios.get(prepare("/audit"), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+});
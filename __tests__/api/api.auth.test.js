@@ -0,0 +1,129 @@
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("Token Refresh & Logout Tests", () => {
+
+  // A dedicated user, so revoking sessions does not affect other test suites.
+  const credentials = {
+    email: "testauthuser@test.com",
+    password: "12345"
+  };
+
+  const login = async () => {
+    const response = await axios.post(prepare("/login"), credentials);
+    return response.data;
+  };
+
+  const authConfig = (accessToken) => {
+    return { headers: { Authorization: `Bearer ${accessToken}` } };
+  };
+
+  beforeAll(async () => {
+    await axios.post(prepare("/register"), {
+      "name": "Auth User",
+      "email": credentials.email,
+      "password": credentials.password,
+      "address": "Somewhere 10"
+    });
+  });
+
+  it("should issue short-lived access tokens with a refresh token", async () => {
+    const tokens = await login();
+
+    expect(tokens.refreshToken).not.toEqual(undefined);
+    expect(tokens.expiresIn).toBeLessThan(86400);
+
+    const {exp, iat, jti} = jwt.decode(tokens.accessToken);
+    expect(exp - iat).toEqual(tokens.expiresIn);
+    expect(jti).not.toEqual(undefined);
+  });
+
+  it("should rotate refresh tokens", async () => {
+    const tokens = await login();
+
+    const refreshed = await axios.post(prepare("/token/refresh"), {
+      refreshToken: tokens.refreshToken
+    });
+    expect(refreshed.status).toEqual(200);
+    expect(refreshed.data.refreshToken).not.toEqual(tokens.refreshToken);
+
+    const response = await axios.get(prepare("/me"), authConfig(refreshed.data.accessToken));
+    expect(response.status).toEqual(200);
+  });
+
+  it("should revoke the session when a rotated refresh token is reused", async () => {
+    const tokens = await login();
+
+    const refreshed = await axios.post(prepare("/token/refresh"), {
+      refreshToken: tokens.refreshToken
+    });
+
+    await axios.post(prepare("/token/refresh"), {
+      refreshToken: tokens.refreshToken
+    }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+
+    // The legitimate successor is revoked too.
+    await axios.post(prepare("/token/refresh"), {
+      refreshToken: refreshed.data.refreshToken
+    }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+    expect.assertions(2);
+  });
+
+  it("should reject unknown refresh tokens", async () => {
+    await axios.post(prepare("/token/refresh"), {
+      refreshToken: "notarefreshtoken"
+    }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+    expect.assertions(1);
+  });
+
+  it("should reject the access token after logout", async () => {
+    const tokens = await login();
+
+    const response = await axios.post(prepare("/logout"), {}, authConfig(tokens.accessToken));
+    expect(response.status).toEqual(200);
+
+    await axios.get(prepare("/me"), authConfig(tokens.accessToken)).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    await axios.post(prepare("/token/refresh"), {
+      refreshToken: tokens.refreshToken
+    }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+    expect.assertions(3);
+  });
+
+  it("should revoke every session on logout-all", async () => {
+    const firstSession = await login();
+    const secondSession = await login();
+
+    const response = await axios.post(prepare("/logout-all"), {}, authConfig(firstSession.accessToken));
+    expect(response.status).toEqual(200);
+
+    await axios.get(prepare("/me"), authConfig(secondSession.accessToken)).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(2);
+  });
+
+  it("should reject tokens that carry no token ID", async () => {
+    const tokens = await login();
+    const {id} = jwt.decode(tokens.accessToken);
+    const legacyToken = jwt.sign({ id: id }, process.env.API_SECRET, { expiresIn: 60 });
+
+    await axios.get(prepare("/me"), authConfig(legacyToken)).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+
+});
@@ -0,0 +1,86 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("Self-Service Account Deletion Tests", () => {
+
+  /* Register, verify and log in a user, resolving to their request config.
+   * Other roles than User are given by an admin. */
+  const createAndLogin = async (email, role) => {
+    const {id, config} = await registerVerifiedUser(email, { "name": "Leaving User" });
+    if(role) {
+      const adminLogin = await axios.post(prepare("/login"), {
+        email: "test@test.com",
+        password: "12345"
+      });
+      await axios.put(prepare("/user/" + id + "/role"), { "role": role }, {
+        headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+      });
+    }
+    return config;
+  };
+
+  it("should require the password", async () => {
+    const config = await createAndLogin("testleavingwrong@test.com");
+
+    await axios.delete(prepare("/me"), { ...config, data: { "password": "wrong" } }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+    await axios.delete(prepare("/me"), config).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+
+    const response = await axios.get(prepare("/me"), config);
+    expect(response.status).toEqual(200);
+    expect.assertions(3);
+  });
+
+  it("should not let users reassign their orders", async () => {
+    const config = await createAndLogin("testleavingreassign@test.com");
+
+    await axios.delete(prepare("/me?policy=reassign"), { ...config, data: { "password": "12345" } }).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(1);
+  });
+
+  it("should delete the account, apply the policy and log out", async () => {
+    const config = await createAndLogin("testleaving@test.com");
+    const placed = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} of a leaving user"
+    }, config);
+
+    const response = await axios.delete(prepare("/me?policy=anonymize"), { ...config, data: { "password": "12345" } });
+    expect(response.status).toEqual(200);
+    expect(response.data.orders).toEqual({ policy: "anonymize", affected: 1 });
+
+    await axios.get(prepare("/me"), config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    await axios.post(prepare("/login"), {
+      email: "testleaving@test.com",
+      password: "12345"
+    }).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    const orderFound = await axios.get(prepare("/order/" + placed.data._id), {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    });
+    expect(orderFound.data.user).toBeNull();
+    expect.assertions(5);
+  });
+
+  it("should let an admin leave while other admins remain", async () => {
+    const config = await createAndLogin("testleavingadmin@test.com", "Admin");
+
+    const response = await axios.delete(prepare("/me"), { ...config, data: { "password": "12345" } });
+    expect(response.status).toEqual(200);
+    expect(response.data.role).toEqual("Admin");
+  });
+});
@@ -0,0 +1,77 @@
+const axios = require("axios");
+const {prepare, latestMail, mailToken, registerUser} = require("../setup/test-helper");
+
+
+describe("Email Verification Tests", () => {
+
+  let adminConfig = null;
+
+  const registerAndLogin = (email) => registerUser(email, { "name": "Unverified User" });
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+  });
+
+  it("should register users unverified and block their orders", async () => {
+    const {config} = await registerAndLogin("testunverified@test.com");
+
+    const meResponse = await axios.get(prepare("/me"), config);
+    expect(meResponse.data.emailVerified).toEqual(false);
+
+    await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} unverified"
+    }, config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(2);
+  });
+
+  it("should verify the email with the mailed token", async () => {
+    const email = "testverified@test.com";
+    const {config} = await registerAndLogin(email);
+
+    // Resending replaces the token sent on registration.
+    const resendResponse = await axios.post(prepare("/verify-email/resend"), {}, config);
+    expect(resendResponse.status).toEqual(200);
+
+    const token = mailToken(latestMail(email));
+    const verifyResponse = await axios.get(prepare("/verify-email?token=" + token));
+    expect(verifyResponse.status).toEqual(200);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} verified"
+    }, config);
+    expect(orderResponse.status).toEqual(201);
+
+    await axios.get(prepare("/verify-email?token=" + token)).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+
+    await axios.post(prepare("/verify-email/resend"), {}, config).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+    expect.assertions(5);
+  });
+
+  it("should let an admin verify a user", async () => {
+    const {id, config} = await registerAndLogin("testadminverified@test.com");
+
+    await axios.post(prepare("/user/" + id + "/verify"), {}, config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    const response = await axios.post(prepare("/user/" + id + "/verify"), {}, adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.emailVerified).toEqual(true);
+    expect.assertions(3);
+  });
+
+});
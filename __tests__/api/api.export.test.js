@@ -0,0 +1,79 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("Personal Data Export Tests", () => {
+
+  let adminConfig = null;
+  let exportedConfig = null;
+  let exportedId = null;
+  let orderId = null;
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+
+    const exported = await registerVerifiedUser("testexport@test.com", { "name": "Exported User" });
+    exportedId = exported.id;
+    exportedConfig = exported.config;
+    const placed = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} exported"
+    }, exportedConfig);
+    orderId = placed.data._id;
+  });
+
+  it("should export the profile, orders and sessions as JSON", async () => {
+    const response = await axios.get(prepare("/me/export"), exportedConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.profile.email).toEqual("testexport@test.com");
+    expect(response.data.profile.password).toBeUndefined();
+    expect(response.data.orders.map(order => order._id)).toEqual([orderId]);
+    expect(response.data.sessions.length).toEqual(1);
+  });
+
+  it("should export a zip of CSV files", async () => {
+    const response = await axios.get(prepare("/me/export?format=zip"), {
+      ...exportedConfig,
+      responseType: "arraybuffer"
+    });
+    expect(response.status).toEqual(200);
+    expect(response.headers["content-type"]).toContain("application/zip");
+    // Zip files start with "PK".
+    expect(Buffer.from(response.data).subarray(0, 2).toString()).toEqual("PK");
+  });
+
+  it("should refuse unknown formats", async () => {
+    await axios.get(prepare("/me/export?format=xml"), exportedConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(1);
+  });
+
+  it("should let admins export a user on their behalf", async () => {
+    const response = await axios.get(prepare("/user/" + exportedId + "/export"), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.profile._id).toEqual(exportedId);
+  });
+
+  it("should block non-admins from exporting other users", async () => {
+    await axios.get(prepare("/user/" + exportedId + "/export"), exportedConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+
+  it("should still export a deleted user until they are purged", async () => {
+    await axios.delete(prepare("/user/" + exportedId), adminConfig);
+
+    const response = await axios.get(prepare("/user/" + exportedId + "/export"), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.profile._id).toEqual(exportedId);
+    expect(response.data.orders.map(order => order._id)).toEqual([orderId]);
+  });
+});
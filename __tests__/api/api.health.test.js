@@ -0,0 +1,29 @@
+const axios = require("axios");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("Health Tests", () => {
+
+  it("should report the process as live", async () => {
+    const response = await axios.get(prepare("/health/live"));
+    expect(response.status).toEqual(200);
+    expect(response.data.status).toEqual("ok");
+    expect(response.data.uptime).toBeGreaterThan(0);
+    expect(response.data.version).toBeDefined();
+  });
+
+  it("should report ready with the database connected", async () => {
+    const response = await axios.get(prepare("/health/ready"));
+    expect(response.status).toEqual(200);
+    expect(response.data.status).toEqual("ready");
+    expect(response.data.database.state).toEqual("connected");
+    expect(response.data.database.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it("should not require authentication", async () => {
+    const response = await axios.get(prepare("/health/ready"), {
+      headers: { Authorization: "Bearer invalid" }
+    });
+    expect(response.status).toEqual(200);
+  });
+});
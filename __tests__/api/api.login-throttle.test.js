@@ -0,0 +1,67 @@
+const axios = require("axios");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("Login Brute-Force Protection Tests", () => {
+
+  const email = "testlockout@test.com";
+  let adminConfig = null;
+  let userID = null;
+
+  const failLogin = async () => {
+    return axios.post(prepare("/login"), {
+      email: email,
+      password: "wrongpassword"
+    }).catch(error => error.response);
+  };
+
+  beforeAll(async () => {
+    const registered = await axios.post(prepare("/register"), {
+      "name": "Lockout User",
+      "email": email,
+      "password": "12345",
+      "address": "Somewhere 10"
+    });
+    userID = registered.data._id;
+
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+  });
+
+  it("should lock the account after repeated failures", async () => {
+    // Default threshold: 5 failures.
+    for(let attempt = 0; attempt < 5; attempt++) {
+      const response = await failLogin();
+      expect(response.status).toEqual(401);
+    }
+
+    const lockedResponse = await failLogin();
+    expect(lockedResponse.status).toEqual(429);
+    expect(Number(lockedResponse.headers["retry-after"])).toBeGreaterThan(0);
+
+    // Even the right password is refused while locked out.
+    await axios.post(prepare("/login"), {
+      email: email,
+      password: "12345"
+    }).catch(error => {
+      expect(error.response.status).toEqual(429);
+    });
+    expect.assertions(8);
+  });
+
+  it("should let an admin unlock the account", async () => {
+    await axios.post(prepare("/user/" + userID + "/unlock"), {}, adminConfig);
+
+    const response = await axios.post(prepare("/login"), {
+      email: email,
+      password: "12345"
+    });
+    expect(response.status).toEqual(200);
+  });
+
+});
@@ -0,0 +1,56 @@
+const axios = require("axios");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("Metrics Tests", () => {
+
+  let simpleConfig = null;
+
+  beforeAll(async () => {
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+  });
+
+  it("should expose metrics in Prometheus text format", async () => {
+    const response = await axios.get(prepare("/metrics"));
+    expect(response.status).toEqual(200);
+    expect(response.headers["content-type"]).toContain("text/plain");
+    expect(response.data).toContain("# TYPE http_request_duration_seconds histogram");
+    expect(response.data).toContain("# TYPE db_query_duration_seconds histogram");
+  });
+
+  it("should label requests by route template rather than concrete URL", async () => {
+    await axios.get(prepare("/order/000000000000000000000000"), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+
+    const response = await axios.get(prepare("/metrics"));
+    expect(response.data).toContain('http_requests_total{method="GET",route="/order/:orderID",status="404"}');
+    expect(response.data).not.toContain("000000000000000000000000");
+    expect.assertions(3);
+  });
+
+  it("should time database queries per model", async () => {
+    const response = await axios.get(prepare("/metrics"));
+    expect(response.data).toContain('db_query_duration_seconds_count{model="User",operation="findOne"}');
+  });
+
+  it("should count created orders", async () => {
+    const before = await axios.get(prepare("/metrics"));
+    const count = (text) => Number(text.match(/^orders_created_total (\d+)/m)[1]);
+
+    await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} metrics"
+    }, simpleConfig);
+
+    const after = await axios.get(prepare("/metrics"));
+    // Other test files may place orders at the same time.
+    expect(count(after.data)).toBeGreaterThan(count(before.data));
+  });
+});
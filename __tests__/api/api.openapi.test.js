@@ -0,0 +1,21 @@
+const axios = require("axios");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("API Documentation Tests", () => {
+
+  it("should serve the OpenAPI document", async () => {
+    const response = await axios.get(prepare("/openapi.json"));
+    expect(response.status).toEqual(200);
+    expect(response.data.openapi).toMatch(/^3\./);
+    expect(Object.keys(response.data.paths)).toEqual(expect.arrayContaining([
+      "/register", "/login", "/users", "/me", "/order", "/order/{orderID}", "/orders/all"
+    ]));
+  });
+
+  it("should serve the documentation page", async () => {
+    const response = await axios.get(prepare("/docs/"));
+    expect(response.status).toEqual(200);
+    expect(response.headers["content-type"]).toContain("text/html");
+  });
+});
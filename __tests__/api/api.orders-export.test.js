@@ -0,0 +1,117 @@
+const axios = require("axios");
+const mongoose = require("mongoose");
+const {prepare} = require("../setup/test-helper");
+const { Order } = require("../../models/order");
+
+
+describe("Order Export Tests", () => {
+
+  let adminConfig = null;
+  let simpleConfig = null;
+  let simpleUserId = null;
+  let orderId = null;
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleUserId = userLogin.data.user.id;
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+
+    const placed = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} exported"
+    }, simpleConfig);
+    orderId = placed.data._id;
+  });
+
+  it("should export orders as CSV with their user", async () => {
+    const response = await axios.get(prepare("/orders/export?user=" + simpleUserId), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.headers["content-type"]).toContain("text/csv");
+
+    const lines = response.data.trim().split("\r\n");
+    expect(lines[0]).toEqual("_id,createdAt,status,type,description,items,total,user,userName,userEmail,courier");
+    const exported = lines.find(line => line.startsWith(orderId));
+    expect(exported).toContain("testuser@test.com");
+    expect(exported).toContain("Box1 x 1");
+  });
+
+  it("should export orders as NDJSON", async () => {
+    const response = await axios.get(prepare("/orders/export?format=ndjson&type=Box1&user=" + simpleUserId), {
+      ...adminConfig,
+      responseType: "text"
+    });
+    expect(response.headers["content-type"]).toContain("application/x-ndjson");
+
+    const orders = response.data.trim().split("\n").map(line => JSON.parse(line));
+    const exported = orders.find(order => order._id === orderId);
+    expect(exported.user._id).toEqual(simpleUserId);
+    expect(exported.user.email).toEqual("testuser@test.com");
+    expect(orders.every(order => order.user._id === simpleUserId)).toEqual(true);
+  });
+
+  it("should filter by date range", async () => {
+    const response = await axios.get(prepare("/orders/export?format=ndjson&to=2000-01-01"), {
+      ...adminConfig,
+      responseType: "text"
+    });
+    expect(response.data).toEqual("");
+  });
+
+  it("should export orders stored before items and statuses existed", async () => {
+    await mongoose.connect(process.env.DB_ENDPOINT);
+    const legacy = await Order.collection.insertOne({
+      type: "Box2",
+      description: "{Test Order} legacy exported",
+      user: new mongoose.Types.ObjectId(simpleUserId)
+    });
+    await mongoose.connection.close();
+    const legacyId = legacy.insertedId.toString();
+
+    const csvResponse = await axios.get(prepare("/orders/export?user=" + simpleUserId), adminConfig);
+    const line = csvResponse.data.trim().split("\r\n").find(line => line.startsWith(legacyId));
+    expect(line).toContain("placed");
+
+    const response = await axios.get(prepare("/orders/export?format=ndjson&user=" + simpleUserId), {
+      ...adminConfig,
+      responseType: "text"
+    });
+    const exported = response.data.trim().split("\n")
+      .map(line => JSON.parse(line))
+      .find(order => order._id === legacyId);
+    expect(exported.status).toEqual("placed");
+    expect(exported.items).toEqual([]);
+  });
+
+  it("should refuse bad formats and filters", async () => {
+    await axios.get(prepare("/orders/export?format=xml"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    await axios.get(prepare("/orders/export?user=nouser"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    await axios.get(prepare("/orders/export?from=notadate"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(3);
+  });
+
+  it("should block non-admins from exporting orders", async () => {
+    await axios.get(prepare("/orders/export"), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+});
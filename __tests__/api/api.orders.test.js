@@ -86,7 +86,6 @@ describe("Supplementary Order Tests - CAT Gap Coverage", () => {
     // Register a temporary user.
     await axios.post(prepare("/register"), {
       "name": "TempUser",
-      "role": "User",
       "email": "tempuser_order_test@test.com",
       "password": "12345",
       "address": "Temporary Address"
@@ -185,8 +184,7 @@ describe("Supplementary Order Tests - CAT Gap Coverage", () => {
 
 
   /**
-   * Updating a non-existent order should return 400.
-   * Covers: orders.js PUT /order - catch block (null orderFound).
+   * Updating a non-existent order should return 404.
    */
   it("should fail to update a non-existent order", async () => {
     const fakeOrderId = "000000000000000000000000";
@@ -196,8 +194,25 @@ describe("Supplementary Order Tests - CAT Gap Coverage", () => {
       "type": "Box2",
       "description": "Should not update"
     }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+      expect(error.response.data.error.code).toEqual("NOT_FOUND");
+    });
+  });
+
+  it("should answer 404 when deleting a non-existent order", async () => {
+    await axios.delete(prepare("/order/000000000000000000000000"), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+      expect(error.response.data.error.message).toEqual("No order found.");
+    });
+    expect.assertions(2);
+  });
+
+  it("should answer 400 for a malformed order ID", async () => {
+    await axios.delete(prepare("/order/12345"), simpleConfig).catch(error => {
       expect(error.response.status).toEqual(400);
+      expect(error.response.data.error.code).toEqual("BAD_REQUEST");
     });
+    expect.assertions(2);
   });
 
 
@@ -225,4 +240,250 @@ describe("Supplementary Order Tests - CAT Gap Coverage", () => {
     });
   });
 
+  /**
+   * Multi-item orders are priced by the server from the catalog.
+   * Covers: orders.js POST /order - items branch.
+   */
+  it("should add a multi-item order with computed totals", async () => {
+    const response = await axios.post(prepare("/order"), {
+      "items": [
+        { "product": "Box1", "quantity": 2 },
+        { "product": "Box2", "quantity": 1 }
+      ],
+      "description": "{Test Order} multi-item"
+    }, simpleConfig);
+
+    expect(response.status).toEqual(201);
+    expect(response.data.items.length).toEqual(2);
+
+    const [box1Line, box2Line] = response.data.items;
+    expect(box1Line.quantity).toEqual(2);
+    expect(box1Line.subtotal).toEqual(box1Line.unitPrice * 2);
+    expect(response.data.total).toEqual(box1Line.subtotal + box2Line.subtotal);
+
+    // The same shape is returned when reading the order back.
+    const orderResponse = await axios.get(prepare("/order/" + response.data._id), simpleConfig);
+    expect(orderResponse.data.items).toEqual(response.data.items);
+    expect(orderResponse.data.total).toEqual(response.data.total);
+  });
+
+  it("should reject an order with no items", async () => {
+    await axios.post(prepare("/order"), {
+      "items": [],
+      "description": "{Test Order} empty"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+
+  it("should reject an order with a non-positive quantity", async () => {
+    await axios.post(prepare("/order"), {
+      "items": [{ "product": "Box1", "quantity": 0 }],
+      "description": "{Test Order} zero quantity"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+
+    await axios.post(prepare("/order"), {
+      "items": [{ "product": "Box1" }],
+      "description": "{Test Order} missing quantity"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(2);
+  });
+
+  it("should re-price an order when its items are updated", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} to re-price"
+    }, simpleConfig);
+
+    const updated = await axios.put(prepare("/order"), {
+      "_id": inserted.data._id,
+      "items": [{ "product": "Box2", "quantity": 3 }]
+    }, simpleConfig);
+
+    expect(updated.data.items.length).toEqual(1);
+    expect(updated.data.items[0].name).toEqual("Box2");
+    expect(updated.data.total).toEqual(updated.data.items[0].unitPrice * 3);
+  });
+
+  /**
+   * Status lifecycle, enforced through POST /order/:orderID/status.
+   */
+  it("should place new orders in the placed status", async () => {
+    const response = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} status"
+    }, simpleConfig);
+
+    expect(response.data.status).toEqual("placed");
+  });
+
+  it("should let the owner cancel an order before preparation", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} to cancel"
+    }, simpleConfig);
+
+    const response = await axios.post(prepare("/order/" + inserted.data._id + "/status"), {
+      "status": "cancelled"
+    }, simpleConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.status).toEqual("cancelled");
+  });
+
+  it("should block the owner from advancing an order", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} owner advance"
+    }, simpleConfig);
+
+    await axios.post(prepare("/order/" + inserted.data._id + "/status"), {
+      "status": "confirmed"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+
+  it("should let an admin advance an order, but not skip steps", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box2",
+      "description": "{Test Order} admin advance"
+    }, simpleConfig);
+    const statusUrl = prepare("/order/" + inserted.data._id + "/status");
+
+    const confirmed = await axios.post(statusUrl, { "status": "confirmed" }, adminConfig);
+    expect(confirmed.data.status).toEqual("confirmed");
+
+    await axios.post(statusUrl, { "status": "delivered" }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+
+    await axios.post(statusUrl, { "status": "preparing" }, adminConfig);
+
+    // Once preparation started, the owner can no longer cancel.
+    await axios.post(statusUrl, { "status": "cancelled" }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+    expect.assertions(3);
+  });
+
+  it("should reject unknown order fields", async () => {
+    await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} unknown field",
+      "total": 0
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+      expect(error.response.data.error.details[0].field).toEqual("total");
+    });
+    expect.assertions(2);
+  });
+
+  it("should not change the status through PUT /order", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} put status"
+    }, simpleConfig);
+
+    await axios.put(prepare("/order"), {
+      "_id": inserted.data._id,
+      "status": "delivered"
+    }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+
+  /**
+   * Order lists are paginated and can be filtered and sorted.
+   */
+  it("should paginate and filter the user's orders", async () => {
+    await axios.post(prepare("/order"), {
+      "items": [{ "product": "Box2", "quantity": 4 }],
+      "description": "{Test Order} filter"
+    }, simpleConfig);
+
+    const response = await axios.get(prepare("/orders/all?type=Box2&status=placed&sort=-total&limit=2"), simpleConfig);
+    const {data, pagination} = response.data;
+
+    expect(data.length).toBeLessThanOrEqual(2);
+    expect(pagination.limit).toEqual(2);
+    data.forEach(order => expect(order.status).toEqual("placed"));
+    expect(data[0].total).toBeGreaterThanOrEqual(data[data.length - 1].total);
+  });
+
+  it("should filter orders by creation date", async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const response = await axios.get(prepare("/orders/user/" + simpleUserId + "?from=" + tomorrow), adminConfig);
+
+    expect(response.data.data.length).toEqual(0);
+    expect(response.data.pagination.total).toEqual(0);
+
+    await axios.get(prepare("/orders/all?from=notadate"), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(3);
+  });
+
+  it("should timestamp orders and find them by their creation date", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} timestamps"
+    }, simpleConfig);
+    const {createdAt, updatedAt} = inserted.data;
+    expect(new Date(createdAt).getTime()).not.toBeNaN();
+    expect(updatedAt).toEqual(createdAt);
+
+    const response = await axios.get(prepare("/orders/all?from=" + createdAt + "&to=" + createdAt + "&sort=-createdAt"), simpleConfig);
+    expect(response.data.data.map(order => order._id)).toContain(inserted.data._id);
+    response.data.data.forEach(order => expect(order.createdAt).toEqual(createdAt));
+  });
+
+  /**
+   * Writable fields of PUT /order depend on the role.
+   */
+  it("should block non-admin from reassigning an order", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} reassign"
+    }, simpleConfig);
+
+    await axios.put(prepare("/order"), {
+      "_id": inserted.data._id,
+      "user": adminUserId
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    const orderResponse = await axios.get(prepare("/order/" + inserted.data._id), simpleConfig);
+    expect(orderResponse.data.user).toEqual(simpleUserId);
+    expect.assertions(2);
+  });
+
+  it("should let an admin reassign an order to an existing user", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} admin reassign"
+    }, adminConfig);
+
+    const updated = await axios.put(prepare("/order"), {
+      "_id": inserted.data._id,
+      "user": simpleUserId
+    }, adminConfig);
+    expect(updated.data.user).toEqual(simpleUserId);
+
+    await axios.put(prepare("/order"), {
+      "_id": inserted.data._id,
+      "user": "000000000000000000000000"
+    }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(2);
+  });
+
 });
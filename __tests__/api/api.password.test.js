@@ -0,0 +1,147 @@
+const axios = require("axios");
+const {prepare, latestMail, mailToken, registerUser} = require("../setup/test-helper");
+
+
+describe("Password Reset Tests", () => {
+
+  const email = "testresetuser@test.com";
+
+  beforeAll(async () => {
+    await axios.post(prepare("/register"), {
+      "name": "Reset User",
+      "email": email,
+      "password": "12345",
+      "address": "Somewhere 10"
+    });
+  });
+
+  it("should answer the same for unknown emails", async () => {
+    const response = await axios.post(prepare("/password/forgot"), {
+      email: "testnobody@test.com"
+    });
+    expect(response.status).toEqual(200);
+    expect(latestMail("testnobody@test.com")).toEqual(null);
+  });
+
+  it("should reset the password with the mailed token, once", async () => {
+    const forgotResponse = await axios.post(prepare("/password/forgot"), { email: email });
+    expect(forgotResponse.status).toEqual(200);
+
+    const token = mailToken(latestMail(email));
+
+    const resetResponse = await axios.post(prepare("/password/reset"), {
+      token: token,
+      password: "newpassword"
+    });
+    expect(resetResponse.status).toEqual(200);
+
+    const loginResponse = await axios.post(prepare("/login"), {
+      email: email,
+      password: "newpassword"
+    });
+    expect(loginResponse.status).toEqual(200);
+
+    await axios.post(prepare("/login"), {
+      email: email,
+      password: "12345"
+    }).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+
+    // Tokens are single-use.
+    await axios.post(prepare("/password/reset"), {
+      token: token,
+      password: "anotherpassword"
+    }).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(5);
+  });
+
+  it("should invalidate older tokens when a new one is requested", async () => {
+    await axios.post(prepare("/password/forgot"), { email: email });
+    const firstToken = mailToken(latestMail(email));
+
+    await axios.post(prepare("/password/forgot"), { email: email });
+
+    await axios.post(prepare("/password/reset"), {
+      token: firstToken,
+      password: "yetanotherpassword"
+    }).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(1);
+  });
+
+  it("should reject unknown tokens", async () => {
+    await axios.post(prepare("/password/reset"), {
+      token: "0".repeat(64),
+      password: "newpassword"
+    }).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(1);
+  });
+
+});
+
+describe("Password Change Tests", () => {
+
+  const email = "testchangepassword@test.com";
+  let config = null;
+
+  beforeAll(async () => {
+    const registered = await registerUser(email, { "name": "Change Password User" });
+    config = registered.config;
+  });
+
+  it("should not change the password through PUT /me", async () => {
+    await axios.put(prepare("/me"), {
+      "password": "plaintext"
+    }, config).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+
+  it("should require the current password", async () => {
+    await axios.post(prepare("/me/password"), {
+      currentPassword: "wrong",
+      newPassword: "changed"
+    }, config).catch(error => {
+      expect(error.response.status).toEqual(401);
+    });
+    expect.assertions(1);
+  });
+
+  it("should change the password and log out other sessions", async () => {
+    const otherSession = await axios.post(prepare("/login"), {
+      email: email,
+      password: "12345"
+    });
+
+    const response = await axios.post(prepare("/me/password"), {
+      currentPassword: "12345",
+      newPassword: "changed"
+    }, config);
+    expect(response.status).toEqual(200);
+
+    // The session that made the change stays valid.
+    const meResponse = await axios.get(prepare("/me"), config);
+    expect(meResponse.status).toEqual(200);
+
+    await axios.get(prepare("/me"), {
+      headers: { Authorization: `Bearer ${otherSession.data.accessToken}` }
+    }).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    const loginResponse = await axios.post(prepare("/login"), {
+      email: email,
+      password: "changed"
+    });
+    expect(loginResponse.status).toEqual(200);
+    expect.assertions(4);
+  });
+
+});
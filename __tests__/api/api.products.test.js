@@ -0,0 +1,274 @@
+const axios = require("axios");
+const {prepare} = require("../setup/test-helper");
+
+
+describe("Product Catalog Tests", () => {
+
+  let simpleConfig = null;
+  let adminConfig = null;
+
+  beforeAll(async () => {
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+  });
+
+  it("should list the default products without authentication", async () => {
+    const response = await axios.get(prepare("/products"));
+    expect(response.status).toEqual(200);
+
+    const names = response.data.map(product => product.name);
+    expect(names).toEqual(expect.arrayContaining(["Box1", "Box2"]));
+  });
+
+  it("should block non-admin from adding a product", async () => {
+    await axios.post(prepare("/product"), {
+      "name": "TestBoxForbidden",
+      "price": 5
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+
+  it("should add a product, then accept orders for it", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBox3",
+      "description": "A brand new box",
+      "price": 12.5,
+      "contents": ["Bread", "Cheese"]
+    }, adminConfig);
+    expect(productResponse.status).toEqual(201);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "type": "TestBox3",
+      "description": "{Test Order}"
+    }, simpleConfig);
+    expect(orderResponse.status).toEqual(201);
+    expect(orderResponse.data.type).toEqual("TestBox3");
+  });
+
+  it("should fail to add a product twice", async () => {
+    await axios.post(prepare("/product"), {
+      "name": "TestBox3",
+      "price": 12.5
+    }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+    expect.assertions(1);
+  });
+
+  it("should reject orders for a deactivated product", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBox4",
+      "price": 8
+    }, adminConfig);
+
+    await axios.put(prepare("/product"), {
+      "_id": productResponse.data._id,
+      "active": false
+    }, adminConfig);
+
+    const publicResponse = await axios.get(prepare("/products"));
+    const names = publicResponse.data.map(product => product.name);
+    expect(names).not.toContain("TestBox4");
+
+    await axios.post(prepare("/order"), {
+      "type": "TestBox4",
+      "description": "{Test Order}"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(2);
+  });
+
+  it("should delete a product", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBox5",
+      "price": 3
+    }, adminConfig);
+
+    const response = await axios.delete(prepare("/product/" + productResponse.data._id), adminConfig);
+    expect(response.status).toEqual(200);
+
+    await axios.get(prepare("/product/" + productResponse.data._id)).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    expect.assertions(2);
+  });
+
+  it("should reserve stock on orders and refuse orders once sold out", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxStock",
+      "price": 7,
+      "stock": 2
+    }, adminConfig);
+    const productUrl = prepare("/product/" + productResponse.data._id);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStock", "quantity": 2 }],
+      "description": "{Test Order} stock"
+    }, simpleConfig);
+    expect(orderResponse.status).toEqual(201);
+
+    let stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(0);
+
+    await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStock", "quantity": 1 }],
+      "description": "{Test Order} sold out"
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+
+    // Cancelling gives the stock back.
+    await axios.post(prepare("/order/" + orderResponse.data._id + "/status"), {
+      "status": "cancelled"
+    }, simpleConfig);
+    stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(2);
+    expect.assertions(4);
+  });
+
+  it("should release stock when an order is deleted", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxStockDelete",
+      "price": 7,
+      "stock": 3
+    }, adminConfig);
+    const productUrl = prepare("/product/" + productResponse.data._id);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStockDelete", "quantity": 1 }],
+      "description": "{Test Order} stock delete"
+    }, simpleConfig);
+
+    await axios.delete(prepare("/order/" + orderResponse.data._id), simpleConfig);
+
+    const stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(3);
+  });
+
+  it("should keep the stock consumed by delivered orders", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxStockDelivered",
+      "price": 7,
+      "stock": 3
+    }, adminConfig);
+    const productUrl = prepare("/product/" + productResponse.data._id);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStockDelivered", "quantity": 2 }],
+      "description": "{Test Order} stock delivered"
+    }, simpleConfig);
+    const statusUrl = prepare("/order/" + orderResponse.data._id + "/status");
+    for(const status of ["confirmed", "preparing", "out_for_delivery"]) {
+      await axios.post(statusUrl, { "status": status }, adminConfig);
+    }
+    const delivered = await axios.post(statusUrl, { "status": "delivered" }, adminConfig);
+    expect(delivered.data.reservedStock).toEqual([]);
+
+    // Deleting and restoring a delivered order leaves the stock alone.
+    await axios.delete(prepare("/order/" + orderResponse.data._id), adminConfig);
+    let stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(1);
+
+    const restored = await axios.post(prepare("/order/" + orderResponse.data._id + "/restore"), {}, adminConfig);
+    expect(restored.data.reservedStock).toEqual([]);
+    stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(1);
+  });
+
+  it("should keep the stock consumed by preparing orders", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxStockPreparing",
+      "price": 7,
+      "stock": 3
+    }, adminConfig);
+    const productUrl = prepare("/product/" + productResponse.data._id);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStockPreparing", "quantity": 2 }],
+      "description": "{Test Order} stock preparing"
+    }, simpleConfig);
+    const statusUrl = prepare("/order/" + orderResponse.data._id + "/status");
+    await axios.post(statusUrl, { "status": "confirmed" }, adminConfig);
+    const preparing = await axios.post(statusUrl, { "status": "preparing" }, adminConfig);
+    expect(preparing.data.reservedStock).toEqual([]);
+
+    // Deleting and restoring it neither gives the stock back nor takes it again.
+    await axios.delete(prepare("/order/" + orderResponse.data._id), adminConfig);
+    let stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(1);
+
+    const restored = await axios.post(prepare("/order/" + orderResponse.data._id + "/restore"), {}, adminConfig);
+    expect(restored.data.status).toEqual("preparing");
+    stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(1);
+  });
+
+  it("should keep the reservation when changed items are out of stock", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxStockSwap",
+      "price": 7,
+      "stock": 2
+    }, adminConfig);
+    const productUrl = prepare("/product/" + productResponse.data._id);
+
+    const orderResponse = await axios.post(prepare("/order"), {
+      "items": [{ "product": "TestBoxStockSwap", "quantity": 1 }],
+      "description": "{Test Order} stock swap"
+    }, simpleConfig);
+
+    await axios.put(prepare("/order"), {
+      "_id": orderResponse.data._id,
+      "items": [{ "product": "TestBoxStockSwap", "quantity": 5 }]
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+
+    const orderFound = await axios.get(prepare("/order/" + orderResponse.data._id), adminConfig);
+    expect(orderFound.data.reservedStock).toEqual([{ product: productResponse.data._id, quantity: 1 }]);
+    const stockResponse = await axios.get(productUrl);
+    expect(stockResponse.data.stock).toEqual(1);
+    expect.assertions(3);
+  });
+
+  it("should list low-stock products and restock them", async () => {
+    const productResponse = await axios.post(prepare("/product"), {
+      "name": "TestBoxLowStock",
+      "price": 4,
+      "stock": 1,
+      "lowStockThreshold": 2
+    }, adminConfig);
+
+    const lowStockResponse = await axios.get(prepare("/products/low-stock"), adminConfig);
+    const names = lowStockResponse.data.map(product => product.name);
+    expect(names).toContain("TestBoxLowStock");
+
+    const restockResponse = await axios.post(prepare("/product/" + productResponse.data._id + "/restock"), {
+      "quantity": 10
+    }, adminConfig);
+    expect(restockResponse.data.stock).toEqual(11);
+
+    await axios.post(prepare("/product/" + productResponse.data._id + "/restock"), {
+      "quantity": 10
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(3);
+  });
+
+});
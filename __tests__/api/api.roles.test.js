@@ -0,0 +1,141 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("Role Tests", () => {
+
+  let adminConfig = null;
+  let simpleConfig = null;
+  let staff = null;
+  let courier = null;
+
+  /* Register and log in a user, and give them a role. */
+  const createWithRole = async (email, role) => {
+    const created = await registerVerifiedUser(email, { "name": role + " User" });
+
+    const response = await axios.put(prepare("/user/" + created.id + "/role"), { "role": role }, adminConfig);
+    expect(response.data.role).toEqual(role);
+    return created;
+  };
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+
+    staff = await createWithRole("teststaff@test.com", "Staff");
+    courier = await createWithRole("testcourier@test.com", "Courier");
+  });
+
+  it("should block non-admins from changing roles", async () => {
+    await axios.put(prepare("/user/" + courier.id + "/role"), { "role": "Admin" }, staff.config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(1);
+  });
+
+  it("should reject unknown roles", async () => {
+    await axios.put(prepare("/user/" + courier.id + "/role"), { "role": "Chef" }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+
+  it("should let staff move orders through their statuses but not manage users", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} staff status"
+    }, simpleConfig);
+
+    const viewed = await axios.get(prepare("/order/" + inserted.data._id), staff.config);
+    expect(viewed.status).toEqual(200);
+
+    const confirmed = await axios.post(prepare("/order/" + inserted.data._id + "/status"), {
+      "status": "confirmed"
+    }, staff.config);
+    expect(confirmed.data.status).toEqual("confirmed");
+
+    await axios.get(prepare("/users"), staff.config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    await axios.delete(prepare("/user/" + courier.id), staff.config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(4);
+  });
+
+  it("should let couriers see and deliver only their assigned orders", async () => {
+    const assigned = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} courier assigned"
+    }, simpleConfig);
+    const other = await axios.post(prepare("/order"), {
+      "type": "Box2",
+      "description": "{Test Order} courier other"
+    }, simpleConfig);
+
+    await axios.get(prepare("/order/" + assigned.data._id), courier.config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    const assignResponse = await axios.post(prepare("/order/" + assigned.data._id + "/courier"), {
+      "courier": courier.id
+    }, staff.config);
+    expect(assignResponse.data.courier).toEqual(courier.id);
+
+    const deliveries = await axios.get(prepare("/orders/deliveries"), courier.config);
+    const deliveryIds = deliveries.data.data.map(order => order._id);
+    expect(deliveryIds).toContain(assigned.data._id);
+    expect(deliveryIds).not.toContain(other.data._id);
+
+    await axios.get(prepare("/order/" + other.data._id), courier.config).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    for(const status of ["confirmed", "preparing", "out_for_delivery"]) {
+      await axios.post(prepare("/order/" + assigned.data._id + "/status"), { "status": status }, staff.config);
+    }
+    const delivered = await axios.post(prepare("/order/" + assigned.data._id + "/status"), {
+      "status": "delivered"
+    }, courier.config);
+    expect(delivered.data.status).toEqual("delivered");
+    expect.assertions(6);
+  });
+
+  it("should only assign orders to couriers", async () => {
+    const inserted = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} not a courier"
+    }, simpleConfig);
+
+    await axios.post(prepare("/order/" + inserted.data._id + "/courier"), {
+      "courier": staff.id
+    }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+
+    await axios.post(prepare("/order/" + inserted.data._id + "/courier"), {
+      "courier": courier.id
+    }, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+
+    // Unassigning takes an explicit null.
+    await axios.post(prepare("/order/" + inserted.data._id + "/courier"), {}, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(3);
+  });
+});
@@ -0,0 +1,124 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("Soft Delete Tests", () => {
+
+  let adminConfig = null;
+  let simpleConfig = null;
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
+    });
+    simpleConfig = {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    };
+  });
+
+  it("should hide deleted users until they are restored", async () => {
+    const credentials = { email: "testsoftdeleted@test.com", password: "12345" };
+    const registered = await registerVerifiedUser(credentials.email, { "name": "Soft Deleted User" });
+    await axios.delete(prepare("/user/" + registered.id), adminConfig);
+
+    await axios.get(prepare("/user/" + registered.id), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    await axios.post(prepare("/login"), credentials).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    // The email stays taken until the user is purged.
+    await axios.post(prepare("/register"), {
+      "name": "Soft Deleted User",
+      "address": "Somewhere 10",
+      ...credentials
+    }).catch(error => {
+      expect(error.response.status).toEqual(409);
+    });
+
+    const response = await axios.post(prepare("/user/" + registered.id + "/restore"), {}, adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.email).toEqual(credentials.email);
+
+    const login = await axios.post(prepare("/login"), credentials);
+    expect(login.status).toEqual(200);
+    expect.assertions(6);
+  });
+
+  it("should hide deleted orders until they are restored", async () => {
+    const placed = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} soft deleted"
+    }, simpleConfig);
+    await axios.delete(prepare("/order/" + placed.data._id), simpleConfig);
+
+    await axios.get(prepare("/order/" + placed.data._id), simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    const orders = await axios.get(prepare("/orders/all?limit=100"), simpleConfig);
+    expect(orders.data.data.map(order => order._id)).not.toContain(placed.data._id);
+
+    const response = await axios.post(prepare("/order/" + placed.data._id + "/restore"), {}, adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.status).toEqual("placed");
+
+    const restored = await axios.get(prepare("/order/" + placed.data._id), simpleConfig);
+    expect(restored.status).toEqual(200);
+    expect.assertions(5);
+  });
+
+  it("should only restore deleted records", async () => {
+    const placed = await axios.post(prepare("/order"), { "type": "Box1" }, simpleConfig);
+    await axios.post(prepare("/order/" + placed.data._id + "/restore"), {}, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    expect.assertions(1);
+  });
+
+  it("should keep restores and purges to admins", async () => {
+    const placed = await axios.post(prepare("/order"), { "type": "Box1" }, simpleConfig);
+    await axios.delete(prepare("/order/" + placed.data._id), simpleConfig);
+
+    await axios.post(prepare("/order/" + placed.data._id + "/restore"), {}, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    await axios.post(prepare("/purge"), {}, simpleConfig).catch(error => {
+      expect(error.response.status).toEqual(403);
+    });
+    expect.assertions(2);
+  });
+
+  it("should purge records deleted before the retention period", async () => {
+    const placed = await axios.post(prepare("/order"), { "type": "Box1" }, simpleConfig);
+    await axios.delete(prepare("/order/" + placed.data._id), simpleConfig);
+
+    // The default retention keeps what was just deleted.
+    const kept = await axios.post(prepare("/purge"), {}, adminConfig);
+    expect(kept.status).toEqual(200);
+
+    const response = await axios.post(prepare("/purge"), { "retentionDays": 0 }, adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.orders).toBeGreaterThanOrEqual(1);
+
+    await axios.post(prepare("/order/" + placed.data._id + "/restore"), {}, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    expect.assertions(4);
+  });
+
+  it("should refuse a negative retention", async () => {
+    await axios.post(prepare("/purge"), { "retentionDays": -1 }, adminConfig).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+});
@@ -0,0 +1,93 @@
+const axios = require("axios");
+const {prepare, registerVerifiedUser} = require("../setup/test-helper");
+
+
+describe("User Deletion Policy Tests", () => {
+
+  let adminConfig = null;
+
+  /* Register and log in a verified user, with an order. */
+  const createWithOrder = async (email) => {
+    const {id, config} = await registerVerifiedUser(email, { "name": "Deleted Orders User" });
+    const placed = await axios.post(prepare("/order"), {
+      "type": "Box1",
+      "description": "{Test Order} of a deleted user"
+    }, config);
+    return { id: id, orderId: placed.data._id };
+  };
+
+  beforeAll(async () => {
+    const adminLogin = await axios.post(prepare("/login"), {
+      email: "test@test.com",
+      password: "12345"
+    });
+    adminConfig = {
+      headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+    };
+  });
+
+  it("should delete the orders with the user by default", async () => {
+    const created = await createWithOrder("testcascade@test.com");
+
+    const response = await axios.delete(prepare("/user/" + created.id), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.orders).toEqual({ policy: "cascade", affected: 1 });
+
+    await axios.get(prepare("/order/" + created.orderId), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(404);
+    });
+    expect.assertions(3);
+  });
+
+  it("should restore the cascaded orders with the user", async () => {
+    const created = await createWithOrder("testcascaderestore@test.com");
+    await axios.delete(prepare("/user/" + created.id), adminConfig);
+
+    const response = await axios.post(prepare("/user/" + created.id + "/restore"), {}, adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.orders).toEqual({ restored: 1 });
+
+    const orderFound = await axios.get(prepare("/order/" + created.orderId), adminConfig);
+    expect(orderFound.data.user).toEqual(created.id);
+  });
+
+  it("should keep anonymized orders without a user", async () => {
+    const created = await createWithOrder("testanonymize@test.com");
+
+    const response = await axios.delete(prepare("/user/" + created.id + "?policy=anonymize"), adminConfig);
+    expect(response.data.orders).toEqual({ policy: "anonymize", affected: 1 });
+
+    const orderFound = await axios.get(prepare("/order/" + created.orderId), adminConfig);
+    expect(orderFound.data.user).toBeNull();
+  });
+
+  it("should reassign the orders to another user", async () => {
+    const created = await createWithOrder("testreassign@test.com");
+    const recipient = await createWithOrder("testreassignee@test.com");
+
+    const response = await axios.delete(prepare("/user/" + created.id + "?policy=reassign&reassignTo=" + recipient.id), adminConfig);
+    expect(response.data.orders).toEqual({ policy: "reassign", affected: 1, reassignTo: recipient.id });
+
+    const orderFound = await axios.get(prepare("/order/" + created.orderId), adminConfig);
+    expect(orderFound.data.user).toEqual(recipient.id);
+  });
+
+  it("should refuse unknown policies and bad reassignments", async () => {
+    const created = await createWithOrder("testbadpolicy@test.com");
+
+    await axios.delete(prepare("/user/" + created.id + "?policy=shred"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    await axios.delete(prepare("/user/" + created.id + "?policy=reassign"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    await axios.delete(prepare("/user/" + created.id + "?policy=reassign&reassignTo=" + created.id), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+
+    // Nothing was deleted.
+    const orderFound = await axios.get(prepare("/order/" + created.orderId), adminConfig);
+    expect(orderFound.data.user).toEqual(created.id);
+    expect.assertions(4);
+  });
+});
@@ -44,6 +44,47 @@ describe("Admin User Tests", () => {
   it("should get all users", async () => {
     const response = await axios.get(prepare("/users"), adminConfig);
     expect(response.status).toEqual(200);
+    expect(Array.isArray(response.data.data)).toEqual(true);
+    expect(response.data.pagination.page).toEqual(1);
+  });
+
+  it("should paginate, filter and sort users", async () => {
+    const response = await axios.get(prepare("/users?role=Admin&sort=email&limit=1"), adminConfig);
+    const {data, pagination} = response.data;
+
+    expect(data.length).toEqual(1);
+    expect(data[0].role).toEqual("Admin");
+    expect(data[0].email).toEqual("test2@test.com");
+    expect(pagination.limit).toEqual(1);
+    expect(pagination.total).toBeGreaterThanOrEqual(2);
+    expect(pagination.totalPages).toEqual(pagination.total);
+
+    const emailResponse = await axios.get(prepare("/users?email=TESTUSER@"), adminConfig);
+    const emails = emailResponse.data.data.map(user => user.email);
+    expect(emails).toContain("testuser@test.com");
+  });
+
+  it("should never expose password hashes", async () => {
+    const listResponse = await axios.get(prepare("/users"), adminConfig);
+    listResponse.data.data.forEach(user => {
+      expect(user.password).toEqual(undefined);
+      expect(user.__v).toEqual(undefined);
+    });
+
+    // Admins see more than the user's own view.
+    const meResponse = await axios.get(prepare("/me"), {
+      headers: { Authorization: `Bearer ${userLogin.data.accessToken}` }
+    });
+    expect(meResponse.data.password).toEqual(undefined);
+    expect("emailVerifiedAt" in meResponse.data).toEqual(false);
+    expect("emailVerifiedAt" in listResponse.data.data[0]).toEqual(true);
+  });
+
+  it("should reject unknown sort fields", async () => {
+    await axios.get(prepare("/users?sort=password"), adminConfig).catch(error => {
+      expect(error.response.status).toEqual(400);
+    });
+    expect.assertions(1);
   });
 
   it("should get posted orders", async () => {
@@ -61,9 +102,25 @@ describe("Admin User Tests", () => {
 
   it("should hit admin user error", async () => {
     await axios.get(prepare("/user/nouser"), adminConfig).catch(error => {
-      // Unauthorized - nouser does not exist.
-      expect(error.response.status).toEqual(403);
+      // Bad Request - nouser is not a valid user ID.
+      expect(error.response.status).toEqual(400);
+      expect(error.response.data.error.code).toEqual("BAD_REQUEST");
+    });
+
+    await axios.get(prepare("/user/000000000000000000000000"), adminConfig).catch(error => {
+      // Not Found - no user has this ID.
+      expect(error.response.status).toEqual(404);
+    });
+  });
+
+  it("should get any user by ID", async () => {
+    const userLogin = await axios.post(prepare("/login"), {
+      email: "testuser@test.com",
+      password: "12345"
     });
+    const response = await axios.get(prepare("/user/" + userLogin.data.user.id), adminConfig);
+    expect(response.status).toEqual(200);
+    expect(response.data.email).toEqual("testuser@test.com");
   });
 
 
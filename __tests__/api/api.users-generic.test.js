@@ -59,6 +59,7 @@ describe("Generic User Tests", () => {
     await axios.get(prepare("/randomurl/something")).catch(error => {
       // 401 - Unauthorized Access
       expect(error.response.status).toEqual(404);
+      expect(error.response.data.error.code).toEqual("NOT_FOUND");
     });
   });
 
@@ -123,12 +124,13 @@ describe("Generic User Tests", () => {
   it("should register user", async () => {
     const response = await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testusernew@test.com",
       "password": "12345",
       "address": "Somewhere 10"
     });
     expect(response.status).toEqual(201);
+    expect(response.data.password).toEqual(undefined);
+    expect(response.data.__v).toEqual(undefined);
   });
 
   it("should fail to register user (existing email)", async () => {
@@ -136,7 +138,6 @@ describe("Generic User Tests", () => {
     
     const response = await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testuserbrandnew@test.com",
       "password": "12345",
       "address": "Somewhere 10"
@@ -146,7 +147,6 @@ describe("Generic User Tests", () => {
 
     await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testuserbrandnew@test.com",
       "password": "12345",
       "address": "Somewhere 10"
@@ -158,55 +158,93 @@ describe("Generic User Tests", () => {
     
   });
 
+  it("should fail to register user (with a role)", async () => {
+    await axios.post(prepare("/register"), {
+      "name": "User New",
+      "role": "Admin",
+      "email": "testuserwithrole@test.com",
+      "password": "12345",
+      "address": "Somewhere 10"
+    }).catch(error => {
+      expect(error.response.status).toEqual(422);
+    });
+    expect.assertions(1);
+  });
+
   it("should fail to register user (malformed email)", async () => {
     await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testuseranothernew",
       "password": "12345",
       "address": "Somewhere 10"
     }).catch(error => {
-      expect(error.response.status).toEqual(400);
+      expect(error.response.status).toEqual(422);
     });
   });
 
   it("should fail to register user (no password)", async () => {
     await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testuseranothernew2@test.com",
       "address": "Somewhere 10"
     }).catch(error => {
-      expect(error.response.status).toEqual(400);
+      expect(error.response.status).toEqual(422);
     });
   });
 
   it("should fail to register user (no name)", async () => {
     await axios.post(prepare("/register"), {
-      "role": "User",
       "email": "testuseranothernew3@test.com",
       "password": "12345",
       "address": "Somewhere 10"
     }).catch(error => {
-      expect(error.response.status).toEqual(400);
+      expect(error.response.status).toEqual(422);
     });
   });
 
   it("should fail to register user (no address)", async () => {
     await axios.post(prepare("/register"), {
       "name": "User New",
-      "role": "User",
       "email": "testuseranothernew4@test.com",
       "password": "12345",
     }).catch(error => {
-      expect(error.response.status).toEqual(400);
+      expect(error.response.status).toEqual(422);
+    });
+  });
+
+  it("should list every invalid field on registration", async () => {
+    await axios.post(prepare("/register"), {
+      "email": "testuseranothernew5",
+      "password": "12345",
+      "address": "Somewhere 10"
+    }).catch(error => {
+      expect(error.response.status).toEqual(422);
+      const fields = error.response.data.error.details.map(fieldError => fieldError.field);
+      expect(fields).toEqual(expect.arrayContaining(["name", "email"]));
+    });
+    expect.assertions(2);
+  });
+
+  it("should reject unknown fields on registration", async () => {
+    await axios.post(prepare("/register"), {
+      "name": "User New",
+      "email": "testuseranothernew6@test.com",
+      "password": "12345",
+      "address": "Somewhere 10",
+      "emailVerified": true
+    }).catch(error => {
+      expect(error.response.status).toEqual(422);
+      expect(error.response.data.error.code).toEqual("VALIDATION_FAILED");
+      expect(error.response.data.error.details).toEqual([
+        { field: "emailVerified", message: "Unknown field." }
+      ]);
     });
+    expect.assertions(3);
   });
 
   it("should block access by valid auth token of non-existing user", async () => {
     await axios.post(prepare("/register"), {
       "name": "UserToDeleteNow",
-      "role": "User",
       "email": "testtodeletenow@test.com",
       "password": "12345",
       "address": "Somewhere 10"
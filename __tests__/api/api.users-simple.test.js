@@ -74,7 +74,7 @@ describe("Simple User Tests", () => {
 
     const allOrdersResponse = await axios.get(prepare("/orders/all"), simpleConfig);
 
-    const {data} = allOrdersResponse;
+    const {data} = allOrdersResponse.data;
     const firstOrderID = data[0]._id;
 
     const singleOrderResponse = await axios.get(prepare("/order/" + firstOrderID), simpleConfig);
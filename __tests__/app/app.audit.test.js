@@ -0,0 +1,24 @@
+const {diff} = require("../../lib/audit");
+
+
+describe("Audit Unit Tests.", () => {
+
+  it("should list only the changed fields", () => {
+    const before = { name: "Box1", price: 10, contents: ["a"] };
+    const after = { name: "Box1", price: 12, contents: ["a", "b"] };
+    expect(diff(before, after)).toEqual({
+      price: { before: 10, after: 12 },
+      contents: { before: ["a"], after: ["a", "b"] }
+    });
+  });
+
+  it("should report created and deleted fields as null", () => {
+    expect(diff(undefined, { role: "Staff" })).toEqual({ role: { before: null, after: "Staff" } });
+    expect(diff({ role: "Staff" }, undefined)).toEqual({ role: { before: "Staff", after: null } });
+  });
+
+  it("should return nothing when nothing changed", () => {
+    expect(diff({ status: "placed" }, { status: "placed" })).toBeUndefined();
+    expect(diff(undefined, undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,24 @@
+const {csvLine, toCsv} = require("../../lib/csv");
+
+
+describe("CSV Unit Tests.", () => {
+
+  it("should quote fields with separators, quotes and line breaks", () => {
+    expect(csvLine(["plain", "a,b", "say \"hi\"", "two\nlines"]))
+      .toEqual("plain,\"a,b\",\"say \"\"hi\"\"\",\"two\nlines\"\r\n");
+  });
+
+  it("should write empty fields, dates and objects", () => {
+    expect(csvLine([null, undefined, new Date(0), { a: 1 }, 2]))
+      .toEqual(",,1970-01-01T00:00:00.000Z,\"{\"\"a\"\":1}\",2\r\n");
+  });
+
+  it("should defuse spreadsheet formulas", () => {
+    expect(csvLine(["=SUM(A1)", "@cmd", -1])).toEqual("'=SUM(A1),'@cmd,-1\r\n");
+  });
+
+  it("should write a header and one line per row", () => {
+    expect(toCsv(["name", "total"], [{ name: "Box1", total: 10 }, { name: "Box2" }]))
+      .toEqual("name,total\r\nBox1,10\r\nBox2,\r\n");
+  });
+});
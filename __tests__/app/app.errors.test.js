@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const {NotFoundError, TooManyRequestsError, errorHandler} = require("../../lib/errors");
+const {createLogger} = require("../../lib/logger");
+
+
+/* Run errorHandler on an error, resolving to the recorded response. */
+const handle = (error) => {
+  const response = { headers: {} };
+  const res = {
+    set: (name, value) => { response.headers[name] = value; return res; },
+    status: (status) => { response.status = status; return res; },
+    json: (body) => { response.body = body; return res; }
+  };
+  errorHandler(error, { log: createLogger({}, { level: "silent" }) }, res, () => {});
+  return response;
+};
+
+describe("Error Handler Unit Tests.", () => {
+
+  it("should answer application errors with their status and code", () => {
+    const response = handle(new NotFoundError("No order found."));
+    expect(response.status).toEqual(404);
+    expect(response.body).toEqual({
+      error: { code: "NOT_FOUND", message: "No order found.", details: undefined }
+    });
+  });
+
+  it("should map invalid IDs to 400", () => {
+    const response = handle(new mongoose.Error.CastError("ObjectId", "12345", "_id"));
+    expect(response.status).toEqual(400);
+    expect(response.body.error.code).toEqual("BAD_REQUEST");
+    expect(response.body.error.details).toEqual({ field: "_id" });
+  });
+
+  it("should map duplicate keys to 409", () => {
+    const duplicate = Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyValue: { email: "someone@test.com" }
+    });
+    const response = handle(duplicate);
+    expect(response.status).toEqual(409);
+    expect(response.body.error.details).toEqual({ fields: ["email"] });
+  });
+
+  it("should send Retry-After with 429 errors", () => {
+    const response = handle(new TooManyRequestsError("Too many failed login attempts.", 60));
+    expect(response.status).toEqual(429);
+    expect(response.headers["Retry-After"]).toEqual("60");
+  });
+
+  it("should hide unexpected errors behind a 500", () => {
+    const response = handle(new TypeError("Cannot read properties of null (reading 'user')"));
+    expect(response.status).toEqual(500);
+    expect(response.body.error).toEqual({
+      code: "INTERNAL_ERROR", message: "Internal Server Error.", details: undefined
+    });
+  });
+
+  it("should leave streamed responses to Express", () => {
+    const error = new Error("Cursor closed.");
+    const res = { headersSent: true, status: jest.fn(), json: jest.fn() };
+    const next = jest.fn();
+    errorHandler(error, { log: createLogger({}, { level: "silent" }) }, res, next);
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+const {createLogger} = require("../../lib/logger");
+
+
+/* Call the /health/ready handler, resolving to the recorded response. */
+const ready = async () => {
+  const routes = {};
+  require("../../endpoints/health")({ get: (path, handler) => { routes[path] = handler; } });
+
+  const response = {};
+  const res = {
+    status: (status) => { response.status = status; return res; },
+    json: (body) => { response.body = body; return res; }
+  };
+  await routes["/health/ready"]({ log: createLogger({}, { level: "silent" }) }, res);
+  return response;
+};
+
+describe("Health Unit Tests.", () => {
+
+  it("should report not ready while the database is disconnected", async () => {
+    const response = await ready();
+    expect(response.status).toEqual(503);
+    expect(response.body.status).toEqual("not ready");
+    expect(response.body.database).toEqual({ state: "disconnected" });
+  });
+});
@@ -0,0 +1,61 @@
+const {createLogger} = require("../../lib/logger");
+
+
+describe("Logger Unit Tests.", () => {
+
+  let lines = [];
+  const write = line => lines.push(JSON.parse(line));
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  it("should write one JSON entry with level and message", () => {
+    createLogger({}, { level: "info", write }).info("Order created", { orderId: "abc" });
+    expect(lines.length).toEqual(1);
+    expect(lines[0].level).toEqual("info");
+    expect(lines[0].msg).toEqual("Order created");
+    expect(lines[0].orderId).toEqual("abc");
+    expect(lines[0].time).toBeDefined();
+  });
+
+  it("should skip entries below the configured level", () => {
+    const log = createLogger({}, { level: "warn", write });
+    log.debug("debug");
+    log.info("info");
+    log.warn("warn");
+    log.error("error");
+    expect(lines.map(line => line.level)).toEqual(["warn", "error"]);
+  });
+
+  it("should write nothing when silent", () => {
+    createLogger({}, { level: "silent", write }).error("error");
+    expect(lines.length).toEqual(0);
+  });
+
+  it("should carry child bindings on every entry", () => {
+    const log = createLogger({}, { level: "info", write }).child({ requestId: "42" });
+    log.info("first");
+    log.child({ userId: "7" }).info("second");
+    expect(lines[0].requestId).toEqual("42");
+    expect(lines[1].requestId).toEqual("42");
+    expect(lines[1].userId).toEqual("7");
+  });
+
+  it("should redact passwords and tokens at any depth", () => {
+    createLogger({}, { level: "info", write }).info("Login", {
+      body: { email: "someone@test.com", password: "12345", refreshToken: "abc" },
+      headers: { authorization: "Bearer abc" }
+    });
+    expect(lines[0].body.email).toEqual("someone@test.com");
+    expect(lines[0].body.password).toEqual("[REDACTED]");
+    expect(lines[0].body.refreshToken).toEqual("[REDACTED]");
+    expect(lines[0].headers.authorization).toEqual("[REDACTED]");
+  });
+
+  it("should expand errors", () => {
+    createLogger({}, { level: "info", write }).error("Failed", { error: new Error("Boom") });
+    expect(lines[0].error.message).toEqual("Boom");
+    expect(lines[0].error.stack).toBeDefined();
+  });
+});
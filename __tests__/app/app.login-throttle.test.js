@@ -0,0 +1,66 @@
+const {createLoginThrottle, createMemoryStore} = require("../../lib/loginThrottle");
+
+
+describe("Login Throttle Unit Tests.", () => {
+
+  let throttle = null;
+
+  beforeEach(() => {
+    throttle = createLoginThrottle({
+      store: createMemoryStore(),
+      maxAccountFailures: 3,
+      maxIpFailures: 5,
+      lockout: 10,
+      maxLockout: 30
+    });
+  });
+
+  it("should allow logins below the threshold", async () => {
+    await throttle.recordFailure("someone@test.com", "10.0.0.1");
+    await throttle.recordFailure("someone@test.com", "10.0.0.1");
+    expect(await throttle.retryAfter("someone@test.com", "10.0.0.1")).toEqual(0);
+  });
+
+  it("should double the lockout with every further failure, up to the maximum", async () => {
+    const lockouts = [];
+    for(let attempt = 0; attempt < 5; attempt++) {
+      await throttle.recordFailure("someone@test.com", "10.0.0.1");
+      lockouts.push(await throttle.retryAfter("someone@test.com", "10.0.0.1"));
+    }
+    expect(lockouts).toEqual([0, 0, 10, 20, 30]);
+  });
+
+  it("should lock an IP across accounts", async () => {
+    for(let attempt = 0; attempt < 5; attempt++) {
+      await throttle.recordFailure(`user${attempt}@test.com`, "10.0.0.2");
+    }
+    expect(await throttle.retryAfter("fresh@test.com", "10.0.0.2")).toBeGreaterThan(0);
+    expect(await throttle.retryAfter("fresh@test.com", "10.0.0.3")).toEqual(0);
+  });
+
+  it("should clear the account counter on success and unlock", async () => {
+    await throttle.recordFailure("someone@test.com", "10.0.0.1");
+    await throttle.recordFailure("someone@test.com", "10.0.0.1");
+    await throttle.recordSuccess("someone@test.com");
+    await throttle.recordFailure("someone@test.com", "10.0.0.1");
+    expect(await throttle.retryAfter("someone@test.com", "10.0.0.1")).toEqual(0);
+
+    for(let attempt = 0; attempt < 3; attempt++) {
+      await throttle.recordFailure("other@test.com", "10.0.0.4");
+    }
+    await throttle.unlockAccount("OTHER@test.com");
+    expect(await throttle.retryAfter("other@test.com", "10.0.0.4")).toEqual(0);
+  });
+
+  it("should sweep expired entries from the memory store", async () => {
+    const store = createMemoryStore({ sweepInterval: 0 });
+    await store.increment("ip:10.0.0.5", new Date(Date.now() - 1000));
+    expect(store.size()).toEqual(1);
+
+    // The next increment sweeps the expired key away.
+    await store.increment("ip:10.0.0.6", new Date(Date.now() + 60000));
+    expect(store.size()).toEqual(1);
+    expect(await store.get("ip:10.0.0.6")).not.toBeNull();
+  });
+
+});
@@ -0,0 +1,95 @@
+const axios = require("axios");
+const express = require("express");
+
+process.env.LOG_LEVEL = "silent";
+
+const {spec} = require("../../lib/openapi");
+const {requestLogger} = require("../../lib/logger");
+const {openapiValidator} = require("../../lib/openapiValidator");
+
+
+describe("OpenAPI Validation Unit Tests.", () => {
+
+  let server = null;
+  let baseUrl = null;
+
+  const product = {
+    "_id": "0123456789abcdef01234567",
+    "name": "TestBoxSpec",
+    "price": 10,
+    "stock": null
+  };
+
+  beforeAll(async () => {
+    process.env.OPENAPI_VALIDATION = "strict";
+
+    // Documented routes answering fixed bodies, right or wrong.
+    const app = express();
+    app.use(requestLogger);
+    app.use(express.json());
+    app.use(openapiValidator);
+    app.get("/product/:productID", (req, res) => {
+      return req.params.productID === "wrong" ?
+        res.status(200).json({ "name": 42 }) :
+        res.status(200).json(product);
+    });
+    app.post("/product/:productID/restock", (req, res) => {
+      return res.status(200).json(product);
+    });
+    app.get("/undocumented", (req, res) => {
+      return res.status(200).json({});
+    });
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    delete process.env.OPENAPI_VALIDATION;
+    server.close();
+  });
+
+  it("should let documented responses through", async () => {
+    const response = await axios.get(baseUrl + "/product/someid");
+    expect(response.status).toEqual(200);
+    expect(response.data).toEqual(product);
+  });
+
+  it("should refuse responses not matching their schema", async () => {
+    await axios.get(baseUrl + "/product/wrong").catch(error => {
+      expect(error.response.status).toEqual(500);
+      expect(error.response.data.error.code).toEqual("OPENAPI_VIOLATION");
+    });
+    expect.assertions(2);
+  });
+
+  it("should refuse undocumented routes", async () => {
+    await axios.get(baseUrl + "/undocumented").catch(error => {
+      expect(error.response.status).toEqual(500);
+    });
+    expect.assertions(1);
+  });
+
+  it("should flag accepted requests the spec forbids", async () => {
+    await axios.post(baseUrl + "/product/someid/restock", { "quantity": 0 }).catch(error => {
+      expect(error.response.status).toEqual(500);
+      expect(error.response.data.error.details[0]).toContain("Accepted request");
+    });
+    expect.assertions(2);
+  });
+
+  it("should document every route of the app", () => {
+    const app = require("../../app");
+    const routes = app._router.stack.filter(layer => layer.route && layer.route.path !== "/docs");
+
+    for(const layer of routes) {
+      const path = layer.route.path.replace(/:(\w+)/g, "{$1}");
+      for(const method of Object.keys(layer.route.methods)) {
+        expect(`${method} ${path}: ${!!(spec.paths[path] && spec.paths[path][method])}`)
+          .toEqual(`${method} ${path}: true`);
+      }
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const {can} = require("../../lib/policy");
+
+
+describe("Policy Unit Tests.", () => {
+
+  const admin = { id: "a1", role: "Admin" };
+  const staff = { id: "s1", role: "Staff" };
+  const courier = { id: "c1", role: "Courier" };
+  const owner = { id: "u1", role: "User" };
+  const stranger = { id: "u2", role: "User" };
+
+  const order = { user: "u1", courier: "c1" };
+
+  it("should refuse unknown actions and anonymous users", () => {
+    expect(can(admin, "order:teleport", order)).toEqual(false);
+    expect(can(undefined, "order:create")).toEqual(false);
+  });
+
+  it("should let owners, staff and the assigned courier read an order", () => {
+    expect(can(owner, "order:read", order)).toEqual(true);
+    expect(can(staff, "order:read", order)).toEqual(true);
+    expect(can(courier, "order:read", order)).toEqual(true);
+    expect(can(stranger, "order:read", order)).toEqual(false);
+    expect(can({ id: "c2", role: "Courier" }, "order:read", order)).toEqual(false);
+  });
+
+  it("should limit status changes by role", () => {
+    expect(can(owner, "order:cancel", order)).toEqual(true);
+    expect(can(owner, "order:advance", order)).toEqual(false);
+    expect(can(courier, "order:deliver", order)).toEqual(true);
+    expect(can(courier, "order:cancel", order)).toEqual(false);
+    expect(can(staff, "order:advance", order)).toEqual(true);
+  });
+
+  it("should keep user management to admins", () => {
+    expect(can(staff, "user:list")).toEqual(false);
+    expect(can(staff, "user:delete", { role: "User" })).toEqual(false);
+    expect(can(admin, "user:delete", { role: "User" })).toEqual(true);
+    expect(can(admin, "user:delete", { role: "Admin" })).toEqual(false);
+  });
+
+  it("should not let admins change their own role", () => {
+    expect(can(admin, "user:changeRole", { _id: "u1" })).toEqual(true);
+    expect(can(admin, "user:changeRole", { _id: "a1" })).toEqual(false);
+  });
+
+  it("should keep the audit log to admins", () => {
+    expect(can(admin, "audit:read")).toEqual(true);
+    expect(can(staff, "audit:read")).toEqual(false);
+  });
+
+  it("should keep restores and purges to admins", () => {
+    expect(can(admin, "user:restore")).toEqual(true);
+    expect(can(admin, "order:restore")).toEqual(true);
+    expect(can(staff, "order:restore")).toEqual(false);
+    expect(can(owner, "order:restore", order)).toEqual(false);
+    expect(can(staff, "data:purge")).toEqual(false);
+  });
+
+  it("should keep exports of other users to admins", () => {
+    expect(can(admin, "user:export")).toEqual(true);
+    expect(can(staff, "user:export")).toEqual(false);
+    expect(can(admin, "order:export")).toEqual(true);
+    expect(can(staff, "order:export")).toEqual(false);
+  });
+});
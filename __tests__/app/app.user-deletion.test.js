@@ -0,0 +1,45 @@
+const {parseDeletionPolicy} = require("../../lib/userDeletion");
+
+
+describe("User Deletion Policy Unit Tests.", () => {
+
+  const userID = "5f0c3c1b2a3b4c5d6e7f8a9b";
+
+  afterEach(() => {
+    delete process.env.USER_DELETION_POLICY;
+    delete process.env.USER_DELETION_REASSIGN_TO;
+  });
+
+  it("should cascade by default", () => {
+    expect(parseDeletionPolicy({})).toEqual({ policy: "cascade" });
+  });
+
+  it("should prefer the requested policy over the configuration", () => {
+    process.env.USER_DELETION_POLICY = "anonymize";
+    expect(parseDeletionPolicy({})).toEqual({ policy: "anonymize" });
+    expect(parseDeletionPolicy({ policy: "cascade" })).toEqual({ policy: "cascade" });
+  });
+
+  it("should not let users reassign their own orders", () => {
+    expect(parseDeletionPolicy({ policy: "reassign", reassignTo: userID }, { allowReassign: false }).error).toBeDefined();
+    expect(parseDeletionPolicy({ policy: "anonymize" }, { allowReassign: false })).toEqual({ policy: "anonymize" });
+
+    process.env.USER_DELETION_POLICY = "reassign";
+    process.env.USER_DELETION_REASSIGN_TO = userID;
+    expect(parseDeletionPolicy({}, { allowReassign: false })).toEqual({ policy: "cascade" });
+  });
+
+  it("should need a user to reassign the orders to", () => {
+    expect(parseDeletionPolicy({ policy: "reassign" }).error).toBeDefined();
+    expect(parseDeletionPolicy({ policy: "reassign", reassignTo: "nouser" }).error).toBeDefined();
+    expect(parseDeletionPolicy({ policy: "reassign", reassignTo: userID })).toEqual({ policy: "reassign", reassignTo: userID });
+
+    process.env.USER_DELETION_POLICY = "reassign";
+    process.env.USER_DELETION_REASSIGN_TO = userID;
+    expect(parseDeletionPolicy({})).toEqual({ policy: "reassign", reassignTo: userID });
+  });
+
+  it("should refuse unknown policies", () => {
+    expect(parseDeletionPolicy({ policy: "shred" }).error).toBeDefined();
+  });
+});
@@ -3,7 +3,6 @@ const generateSignupData = (requestParams, ctx, ee, next) => {
   ctx.vars["email"] = "testperformanceuser@test.com";
   ctx.vars["password"] = "12345";
   ctx.vars["address"] = "Somewhere X";
-  ctx.vars["role"] = "Admin";
 
   return next();
 }
@@ -12,28 +12,24 @@ module.exports = async () => {
   
   // Connect mongoose
   await mongoose.connect(mongoUri);
-  
+
   // Start the Express server
   process.env.DB_ENDPOINT = mongoUri;
   process.env.PORT = 3000;
   process.env.BASE_URL = 'http://localhost';
   process.env.API_SECRET = 'ThisIsAnAPISecret';
   
-  const express = require('express');
-  const app = express();
-  app.use(express.json());
-  
-  require('../../endpoints/users')(app);
-  require('../../endpoints/orders')(app);
-  
-  app.get("/", async (req, res) => {
-    try{
-      return res.status(200).json({"message": "OK"});
-    } catch(err) {
-      console.log(err);
-      return res.status(400).json({"message": "Bad Request."});
-    }
-  });
+  // Tests run with logging off, unless LOG_LEVEL is set explicitly.
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+  // Responses disagreeing with the OpenAPI document fail with a 500.
+  process.env.OPENAPI_VALIDATION = process.env.OPENAPI_VALIDATION || 'strict';
+
+  // The app must be loaded before any model, see app.js.
+  const app = require('../../app');
+
+  // Box1/Box2 catalog entries, as server.js does on start.
+  const { seedDefaultProducts } = require('../../models/product');
+  await seedDefaultProducts();
   
   server = app.listen(3000);
   
@@ -41,11 +37,10 @@ module.exports = async () => {
   await new Promise(resolve => setTimeout(resolve, 1000));
   
   // Register test users
-  const { prepare } = require('./test-helper');
+  const { prepare, verifyUsers } = require('./test-helper');
   
   await axios.post(prepare("/register"), {
     "name": "Admin",
-    "role": "Admin",
     "email": "test@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -53,7 +48,6 @@ module.exports = async () => {
   
   await axios.post(prepare("/register"), {
     "name": "Admin2",
-    "role": "Admin",
     "email": "test2@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -61,7 +55,6 @@ module.exports = async () => {
   
   await axios.post(prepare("/register"), {
     "name": "User",
-    "role": "User",
     "email": "testuser@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -69,11 +62,22 @@ module.exports = async () => {
   
   await axios.post(prepare("/register"), {
     "name": "User ToDelete",
-    "role": "User",
     "email": "testusertodelete@test.com",
     "password": "12345",
     "address": "Somewhere 10"
   });
+
+  // Registration only creates users: the admins are promoted in the database.
+  const { User } = require('../../models/user');
+  await User.updateMany({ email: { $in: ["test@test.com", "test2@test.com"] } }, { role: "Admin" });
+
+  // New accounts can't order until their email is verified.
+  await verifyUsers([
+    "test@test.com",
+    "test2@test.com",
+    "testuser@test.com",
+    "testusertodelete@test.com"
+  ]);
   
   global.__MONGOSERVER__ = mongoServer;
   global.__SERVER__ = server;
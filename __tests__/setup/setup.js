@@ -1,16 +1,17 @@
 const axios = require("axios");
-const {prepare}  = require("./test-helper")
+const {prepare, verifyUsers}  = require("./test-helper")
 
 const mongoose = require("mongoose");
 mongoose.set('strictQuery', true);
 
+const { User } = require("../../models/user");
+
 module.exports = async () => {
   // We use the API to register.
   // Alternatively, you can do it by using Mongoose API,
   // by applying direct DB operations.
   await axios.post(prepare("/register"), {
     "name": "Admin",
-    "role": "Admin",
     "email": "test@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -18,7 +19,6 @@ module.exports = async () => {
 
   await axios.post(prepare("/register"), {
     "name": "Admin2",
-    "role": "Admin",
     "email": "test2@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -26,7 +26,6 @@ module.exports = async () => {
 
   await axios.post(prepare("/register"), {
     "name": "User",
-    "role": "User",
     "email": "testuser@test.com",
     "password": "12345",
     "address": "Somewhere 10"
@@ -34,10 +33,23 @@ module.exports = async () => {
 
   await axios.post(prepare("/register"), {
     "name": "User ToDelete",
-    "role": "User",
     "email": "testusertodelete@test.com",
     "password": "12345",
     "address": "Somewhere 10"
   });
+
+  // Registration only creates users: the admins are promoted in the database,
+  // connecting to it as teardown.js does.
+  await mongoose.connect(process.env.DB_ENDPOINT);
+  await User.updateMany({ email: { $in: ["test@test.com", "test2@test.com"] } }, { role: "Admin" });
+  await mongoose.connection.close();
+
+  // New accounts can't order until their email is verified.
+  await verifyUsers([
+    "test@test.com",
+    "test2@test.com",
+    "testuser@test.com",
+    "testusertodelete@test.com"
+  ]);
 };
 
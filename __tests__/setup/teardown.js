@@ -3,6 +3,7 @@ mongoose.set('strictQuery', true);
 
 const { User } = require("../../models/user");
 const { Order } = require("../../models/order");
+const { Product } = require("../../models/product");
 
 require('dotenv').config({ path: '.env' });
 
@@ -18,6 +19,7 @@ module.exports = async () => {
     console.log(e)
   });
   await Order.deleteMany({description: /\{Test\sOrder/});
+  await Product.deleteMany({name: /^TestBox/});
 
   await mongoose.connection.close();
 }
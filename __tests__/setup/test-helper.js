@@ -1,7 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
 require('dotenv').config({ path: '.env' });
 
-module.exports = {
-  prepare: (endpoint) => {
-    return `${process.env.BASE_URL}:${process.env.PORT}${process.env.URL_POSTFIX}${endpoint}`;
+// Same default as lib/mailer.js.
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "..", "outbox");
+
+const prepare = (endpoint) => {
+  return `${process.env.BASE_URL}:${process.env.PORT}${process.env.URL_POSTFIX}${endpoint}`;
+};
+
+// Verify the emails of registered test users through the admin override,
+// so they can place orders. The outbox is not reachable when the API runs elsewhere (CI).
+const verifyUsers = async (emails) => {
+  const adminLogin = await axios.post(prepare("/login"), {
+    email: "test@test.com",
+    password: "12345"
+  });
+  const adminConfig = {
+    headers: { Authorization: `Bearer ${adminLogin.data.accessToken}` }
+  };
+
+  for(const email of emails) {
+    const response = await axios.get(prepare("/users?email=" + encodeURIComponent(email)), adminConfig);
+    const userFound = response.data.data.find(user => user.email === email);
+    await axios.post(prepare("/user/" + userFound._id + "/verify"), {}, adminConfig);
+  }
+};
+
+// Register a test user, verified if asked, and log them in.
+// The overrides replace fields of the registration body.
+const registerUser = async (email, overrides = {}, {verified = false} = {}) => {
+  const body = {
+    "name": "Test User",
+    "email": email,
+    "password": "12345",
+    "address": "Somewhere 10",
+    ...overrides
+  };
+  const registered = await axios.post(prepare("/register"), body);
+  if(verified) {
+    await verifyUsers([email]);
   }
-};
\ No newline at end of file
+
+  const login = await axios.post(prepare("/login"), {
+    email: email,
+    password: body.password
+  });
+  return {
+    id: registered.data._id,
+    config: { headers: { Authorization: `Bearer ${login.data.accessToken}` } }
+  };
+};
+
+module.exports = {
+  prepare: prepare,
+
+  // Most recent message written to the mail outbox for the given address.
+  latestMail: (to) => {
+    if(!fs.existsSync(outboxDir)) {
+      return null;
+    }
+    const messages = fs.readdirSync(outboxDir)
+      .sort()
+      .map(fileName => JSON.parse(fs.readFileSync(path.join(outboxDir, fileName))))
+      .filter(message => message.to === to);
+    return messages.length ? messages[messages.length - 1] : null;
+  },
+
+  // Pull the single-use token out of a mailed message.
+  mailToken: (message) => {
+    return message.text.match(/[0-9a-f]{64}/)[0];
+  },
+
+  verifyUsers: verifyUsers,
+
+  // Register and log in a user without verifying their email.
+  registerUser: (email, overrides) => registerUser(email, overrides),
+
+  // Register, verify and log in a user: resolves to {id, config}.
+  registerVerifiedUser: (email, overrides) => registerUser(email, overrides, { verified: true })
+};
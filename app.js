@@ -0,0 +1,37 @@
+const express = require("express");
+
+// Loaded first: it registers the Mongo query timing plugin, which only
+// applies to models compiled after it.
+const {metricsMiddleware} = require("./lib/metrics");
+const {requestLogger} = require("./lib/logger");
+const {notFoundHandler, errorHandler} = require("./lib/errors");
+const {openapiValidator} = require("./lib/openapiValidator");
+
+require('dotenv').config();
+
+/* The Express application: middleware and routes, without DB connection or
+ * listening, so that server.js and the test setup share the same app. */
+const app = express();
+app.use(requestLogger);
+app.use(metricsMiddleware);
+app.use(express.json());
+app.use(openapiValidator);
+
+require('./endpoints/users')(app);
+require('./endpoints/orders')(app);
+require('./endpoints/products')(app);
+require('./endpoints/audit')(app);
+require('./endpoints/purge')(app);
+require('./endpoints/metrics')(app);
+require('./endpoints/health')(app);
+require('./endpoints/docs')(app);
+
+app.get("/", (req, res) => {
+  return res.status(200).json({"message": "OK"});
+});
+
+// Anything the routes above did not answer ends up here.
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
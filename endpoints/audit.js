@@ -0,0 +1,60 @@
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const {authenticateToken} = require("./auth");
+const {serializeAuditEvent} = require("../lib/serializers");
+const {authorize} = require("../lib/policy");
+const {parseListQuery, paginate, parseDateRange} = require("../lib/pagination");
+const {BadRequestError, asyncHandler} = require("../lib/errors");
+
+const auditEvent = require("../models/auditEvent");
+const AuditEvent = auditEvent.AuditEvent;
+
+const AUDIT_SORTABLE_FIELDS = ["_id", "createdAt", "action"];
+
+/* Build the audit event filter from the query string.
+ * Supports actor (user ID), action, targetType, targetId and a from/to date range.
+ * Resolves to {filter}, or to {error} on bad input. */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if(query.actor !== undefined) {
+    if(!mongoose.isValidObjectId(query.actor)) {
+      return { error: "actor must be a user ID." };
+    }
+    filter.actor = query.actor;
+  }
+
+  for(const field of ["action", "targetType", "targetId"]) {
+    if(query[field] !== undefined) {
+      filter[field] = String(query[field]);
+    }
+  }
+
+  const {range, error} = parseDateRange(query);
+  if(error) {
+    return { error };
+  }
+  if(range) {
+    filter.createdAt = range;
+  }
+
+  return { filter };
+};
+
+module.exports = (app) => {
+
+  /****** Audit Trail. ******/
+
+  /* Get a page of audit events, newest first unless sorted otherwise. */
+  app.get("/audit", authenticateToken, authorize("audit:read"), asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery({ sort: "-createdAt", ...req.query }, AUDIT_SORTABLE_FIELDS);
+    const {filter, error} = listQuery.error ? listQuery : buildAuditFilter(req.query);
+    if(error) {
+      throw new BadRequestError(error);
+    }
+
+    const page = await paginate(AuditEvent, filter, listQuery, serializeAuditEvent);
+    return res.status(200).json(page);
+  }));
+}
@@ -3,67 +3,48 @@ var jwt = require("jsonwebtoken");
 const user = require("../models/user");
 const User = user.User;
 
-// ===== INSTRUMENTATION 1: Import assert module =====
-const assert = require('assert');
-// ===================================================
+const {isAccessTokenActive} = require("../lib/tokens");
+const {UnauthorizedError, ForbiddenError} = require("../lib/errors");
 
 /* Auth User module. */
 const authenticateToken = (req, res, next) => {
-  // ===== INSTRUMENTATION 2: Log authentication attempt =====
-  console.log('[AUTH] Authentication attempt:', {
-    path: req.path,
-    method: req.method,
-    hasAuthHeader: !!req.headers['authorization'],
-    timestamp: new Date().toISOString()
-  });
-  // ==========================================================
-
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token == null){
-    // ===== INSTRUMENTATION 3: Log missing token =====
-    console.log('[AUTH] Authentication failed: No token provided');
-    // ================================================
-    return res.sendStatus(401);
+    req.log.debug("Authentication failed: no token provided");
+    return next(new UnauthorizedError());
   }
 
   jwt.verify(token, process.env.API_SECRET, (error, user) => {
     if (error) {
-      // ===== INSTRUMENTATION 4: Enhanced error logging =====
-      console.log('[AUTH] JWT verification failed:', {
+      req.log.info("Authentication failed: JWT verification failed", {
         error: error.message,
-        errorType: error.name,
-        timestamp: new Date().toISOString()
+        errorType: error.name
       });
-      // =====================================================
-      return res.status(403).send({"message": "Unauthorized access."});
+      return next(new ForbiddenError("Unauthorized access."));
     }
 
-    User.findOne({_id: user.id}).then(userFound => {
-      if (!userFound) {
-        // ===== INSTRUMENTATION 5: Log user not found =====
-        console.log('[AUTH] User not found in database:', {
-          userId: user.id,
-          timestamp: new Date().toISOString()
-        });
-        // =================================================
-        return res.status(403).send({"message": "Unauthorized access."});
+    // Tokens of logged out (revoked) sessions are rejected until they expire.
+    isAccessTokenActive(user.jti).then(tokenActive => {
+      if (!tokenActive) {
+        req.log.info("Authentication failed: token revoked", { userId: user.id });
+        return next(new ForbiddenError("Unauthorized access."));
       }
 
-      // ===== INSTRUMENTATION 6: Assert and success logging =====
-      assert(userFound.role, 'User must have a role');
-      console.log('[AUTH] Authentication successful:', {
-        userId: user.id,
-        role: userFound.role,
-        timestamp: new Date().toISOString()
-      });
-      // =========================================================
+      return User.findOne({_id: user.id}).then(userFound => {
+        if (!userFound) {
+          req.log.info("Authentication failed: user not found", { userId: user.id });
+          return next(new ForbiddenError("Unauthorized access."));
+        }
 
-      user.role = userFound.role;
-      req.user = user;
-      next();
-    });
+        req.log.debug("Authentication successful", { userId: user.id, role: userFound.role });
+
+        user.role = userFound.role;
+        req.user = user;
+        next();
+      });
+    }).catch(next);
   });
 }
 
@@ -0,0 +1,17 @@
+const swaggerUi = require("swagger-ui-express");
+
+const {spec} = require("../lib/openapi");
+
+module.exports = (app) => {
+
+  /* The OpenAPI document of the API. */
+  app.get("/openapi.json", (req, res) => {
+    return res.status(200).json(spec);
+  });
+
+  /* Interactive documentation, rendered from the OpenAPI document. */
+  app.use("/docs", swaggerUi.serve);
+  app.get("/docs", swaggerUi.setup(spec, {
+    customSiteTitle: spec.info.title
+  }));
+};
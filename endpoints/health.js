@@ -0,0 +1,63 @@
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const {version} = require("../package.json");
+
+const CONNECTION_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// Milliseconds a DB ping may take before the app is reported not ready.
+const HEALTH_DB_TIMEOUT = Number(process.env.HEALTH_DB_TIMEOUT) || 2000;
+
+/* Ping the database, resolving to its round-trip time in milliseconds. */
+const pingDatabase = async () => {
+  const startTime = process.hrtime.bigint();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Database ping timed out.")), HEALTH_DB_TIMEOUT);
+  });
+  try {
+    await Promise.race([mongoose.connection.db.admin().ping(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return Number(process.hrtime.bigint() - startTime) / 1e6;
+};
+
+const processInfo = () => ({
+  "uptime": process.uptime(),
+  "version": process.env.BUILD_VERSION || version
+});
+
+module.exports = (app) => {
+
+  /* Liveness: the process is up and serving requests. */
+  app.get("/health/live", (req, res) => {
+    return res.status(200).json({
+      "status": "ok",
+      ...processInfo()
+    });
+  });
+
+  /* Readiness: the database is connected and answers a ping. */
+  app.get("/health/ready", async (req, res) => {
+    const state = CONNECTION_STATES[mongoose.connection.readyState] || "unknown";
+    let database = { "state": state };
+    let ready = false;
+
+    if(state === "connected") {
+      try {
+        database.latencyMs = await pingDatabase();
+        ready = true;
+      } catch(error) {
+        req.log.warn("Database ping failed", { error: error });
+        database.error = error.message;
+      }
+    }
+
+    return res.status(ready ? 200 : 503).json({
+      "status": ready ? "ready" : "not ready",
+      "database": database,
+      ...processInfo()
+    });
+  });
+};
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const crypto = require("crypto");
+
+const {registry} = require("../lib/metrics");
+const {UnauthorizedError, asyncHandler} = require("../lib/errors");
+
+/* With METRICS_TOKEN set, scrapers must send it as a bearer token. */
+const isAuthorizedScrape = (req) => {
+  const expected = process.env.METRICS_TOKEN;
+  if(!expected) {
+    return true;
+  }
+  const authHeader = req.headers['authorization'] || "";
+  const given = Buffer.from(authHeader.replace(/^Bearer /, ""));
+  return given.length === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(given, Buffer.from(expected));
+};
+
+module.exports = (app) => {
+
+  /* Prometheus scrape endpoint. */
+  app.get("/metrics", asyncHandler(async (req, res) => {
+    if(!isAuthorizedScrape(req)) {
+      throw new UnauthorizedError("Invalid metrics token.");
+    }
+    res.set("Content-Type", registry.contentType);
+    return res.status(200).send(await registry.metrics());
+  }));
+};
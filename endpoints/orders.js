@@ -1,210 +1,569 @@
 require('dotenv').config();
 
+const mongoose = require("mongoose");
+const {matchedData} = require("express-validator");
+
 const {authenticateToken} = require("./auth");
+const {validate, schemas} = require("../lib/validation");
+const {ordersCreatedTotal, ordersRejectedTotal} = require("../lib/metrics");
+const {serializeOrder} = require("../lib/serializers");
+const {can, authorize} = require("../lib/policy");
+const {parseListQuery, paginate, parseDateRange} = require("../lib/pagination");
+const {audit} = require("../lib/audit");
+const {csvLine} = require("../lib/csv");
+const {BadRequestError, ForbiddenError, NotFoundError, ConflictError,
+  asyncHandler} = require("../lib/errors");
 
 const user = require("../models/user");
 const User = user.User;
 
 const order = require("../models/order");
 const Order = order.Order;
+const {ORDER_STATUSES, STOCK_RESERVING_STATUSES, canTransition} = order;
+
+const product = require("../models/product");
+const Product = product.Product;
+const {reserveStock, releaseStock} = product;
+
+// Product ordered when a legacy request carries neither "items" nor "type".
+const DEFAULT_ORDER_TYPE = "Box1";
+
+/* Find an orderable product, referenced either by its ID or by its name. */
+const findActiveProduct = async (reference) => {
+  const conditions = [{ name: reference }];
+  if(/^[0-9a-fA-F]{24}$/.test(reference)) {
+    conditions.push({ _id: reference });
+  }
+  return Product.findOne({ active: true, $or: conditions });
+};
+
+/* Price the requested items against the catalog.
+ * Resolves to {items, total}, or to {error} describing the first invalid item. */
+const buildOrderItems = async (body) => {
+  let requestedItems = body.items;
+  // Legacy single-box orders: {type: "Box2"} stands for one Box2.
+  if(requestedItems === undefined) {
+    requestedItems = [{ product: body.type || DEFAULT_ORDER_TYPE, quantity: 1 }];
+  }
+
+  if(!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    return { error: "Order must contain at least one item." };
+  }
+
+  const items = [];
+  let total = 0;
+  for(const requestedItem of requestedItems) {
+    const quantity = requestedItem && requestedItem.quantity;
+    if(!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: "Item quantities must be positive integers." };
+    }
+
+    const productFound = await findActiveProduct(String(requestedItem.product));
+    if(!productFound) {
+      return { error: "Unknown or inactive product type." };
+    }
+
+    // Prices are kept in cents while summing, to avoid float drift.
+    const subtotal = Math.round(productFound.price * 100) * quantity / 100;
+    items.push({
+      product: productFound._id,
+      name: productFound.name,
+      quantity: quantity,
+      unitPrice: productFound.price,
+      subtotal: subtotal
+    });
+    total = Math.round(total * 100 + subtotal * 100) / 100;
+  }
+
+  return { items, total };
+};
+
+// Fields PUT /order may change, plus "user" for those allowed to reassign
+// orders. Totals, stock reservations, the status and the courier are never
+// written through it.
+const ORDER_WRITABLE_FIELDS = ["type", "description", "items"];
+
+// Policy action (see lib/policy.js) needed to move an order to a status.
+// Any other status is "order:advance".
+const STATUS_ACTIONS = {
+  cancelled: "order:cancel",
+  delivered: "order:deliver"
+};
+
+// Fields order lists can be sorted by (see lib/pagination.js).
+const ORDER_SORTABLE_FIELDS = ["_id", "createdAt", "total", "status", "type"];
+
+/* Build the order list filter from the query string.
+ * Supports type (catalog product name), status and a from/to creation date range.
+ * Resolves to {filter}, or to {error} on bad input. */
+const buildOrderFilter = (query, baseFilter) => {
+  const filter = { ...baseFilter };
+
+  if(query.type !== undefined) {
+    // Single-box orders carry the type, multi-item orders the item names.
+    filter.$or = [{ type: query.type }, { "items.name": query.type }];
+  }
+
+  if(query.status !== undefined) {
+    if(!ORDER_STATUSES.includes(query.status)) {
+      return { error: "Unknown order status." };
+    }
+    filter.status = query.status;
+  }
+
+  const {range, error} = parseDateRange(query);
+  if(error) {
+    return { error };
+  }
+  if(range) {
+    filter.createdAt = range;
+  }
+
+  return { filter };
+};
+
+/* Respond with a page of orders matching the request query and baseFilter. */
+const listOrders = async (req, res, baseFilter) => {
+  const listQuery = parseListQuery(req.query, ORDER_SORTABLE_FIELDS);
+  const {filter, error} = listQuery.error ? listQuery : buildOrderFilter(req.query, baseFilter);
+  if(error) {
+    throw new BadRequestError(error);
+  }
+
+  const page = await paginate(Order, filter, listQuery, orderFound => serializeOrder(orderFound, req.user));
+  return res.status(200).json(page);
+};
+
+const ORDER_EXPORT_FORMATS = ["csv", "ndjson"];
+
+const ORDER_EXPORT_FIELDS = [
+  "_id", "createdAt", "status", "type", "description", "items", "total",
+  "user", "userName", "userEmail", "courier"
+];
+
+/* Aggregation of the exported orders, oldest first, each joined with the
+ * name and email of its user. Aggregations skip the soft delete filter
+ * (lib/softDelete.js), so it is applied here. */
+const orderExportPipeline = (filter) => [
+  { $match: { ...filter, deletedAt: null } },
+  { $sort: { _id: 1 } },
+  { $lookup: { from: User.collection.name, localField: "user", foreignField: "_id", as: "userFound" } },
+  { $project: {
+    type: 1, description: 1, items: 1, total: 1, status: 1, user: 1, courier: 1, createdAt: 1,
+    userFound: { $arrayElemAt: ["$userFound", 0] }
+  } },
+  { $project: { "userFound.password": 0 } }
+];
+
+/* An exported order, as one NDJSON object. Aggregations skip the schema
+ * defaults, which orders stored before items and statuses existed rely on. */
+const exportedOrder = (orderFound) => ({
+  _id: orderFound._id,
+  createdAt: orderFound.createdAt,
+  status: orderFound.status || "placed",
+  type: orderFound.type,
+  description: orderFound.description,
+  items: orderFound.items || [],
+  total: orderFound.total || 0,
+  user: orderFound.user ? {
+    _id: orderFound.user,
+    name: orderFound.userFound ? orderFound.userFound.name : null,
+    email: orderFound.userFound ? orderFound.userFound.email : null
+  } : null,
+  courier: orderFound.courier || null
+});
+
+/* An exported order, as one CSV line of ORDER_EXPORT_FIELDS. */
+const exportedOrderLine = (orderFound) => {
+  const exported = exportedOrder(orderFound);
+  return csvLine(ORDER_EXPORT_FIELDS.map(field => {
+    switch(field) {
+      case "items":
+        return exported.items.map(item => `${item.name} x ${item.quantity}`).join("; ");
+      case "user":
+        return exported.user && exported.user._id;
+      case "userName":
+        return exported.user && exported.user.name;
+      case "userEmail":
+        return exported.user && exported.user.email;
+      default:
+        return exported[field];
+    }
+  }));
+};
+
+/* Resolve once res can take more data, or is closed. */
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off("drain", done);
+    res.off("close", done);
+    resolve();
+  };
+  res.on("drain", done);
+  res.on("close", done);
+});
 
-// ===== INSTRUMENTATION 1: Import assert module =====
-const assert = require('assert');
-// ===================================================
+/* Find an order by ID, failing with NotFoundError when there is none. */
+const findOrder = async (orderID) => {
+  const orderFound = await Order.findOne({ _id: orderID });
+  if(!orderFound) {
+    throw new NotFoundError("No order found.");
+  }
+  return orderFound;
+};
+
+/* Changes to someone else's order are audited; owners managing their own
+ * orders are not. */
+const actsOnOthersOrder = (req, orderFound) => !orderFound.user || orderFound.user.toString() !== req.user.id;
 
 module.exports = (app) => {
 
   /* Get orders of any user. */
-  app.get("/orders/user/:userID", authenticateToken, async (req, res) => {
-    try {
+  app.get("/orders/user/:userID", authenticateToken, authorize("order:listAny"), asyncHandler(async (req, res) => {
+    const {userID} = req.params;
+    return listOrders(req, res, { user: userID });
+  }));
 
-      // ===== INSTRUMENTATION 2: Log permission check =====
-      console.log('[ORDERS] Admin access check:', {
-        userId: req.user.id,
-        userRole: req.user.role,
-        requestedUserID: req.params.userID,
-        endpoint: '/orders/user/:userID',
-        timestamp: new Date().toISOString()
-      });
-      // ===================================================
-
-      // This is an admin-only operation.
-      if(req.user.role !== "Admin") {
-        // ===== INSTRUMENTATION 3: Log permission denied =====
-        console.log('[ORDERS] Access denied: Not admin');
-        // ====================================================
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
-      }
-      const {userID} = req.params;
-      const allOrders = await Order.find({user: userID});
+  /* Get orders of user. */
+  app.get("/orders/all", authenticateToken, authorize("order:listOwn"), asyncHandler(async (req, res) => {
+    return listOrders(req, res, { user: req.user.id });
+  }));
 
-      return res.status(200).json(allOrders);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+  /* Stream every order matching the query (type, status, from/to, user) as CSV
+   * or NDJSON, one order at a time. */
+  app.get("/orders/export", authenticateToken, authorize("order:export"), asyncHandler(async (req, res) => {
+    const format = req.query.format || "csv";
+    if(!ORDER_EXPORT_FORMATS.includes(format)) {
+      throw new BadRequestError(`format must be one of: ${ORDER_EXPORT_FORMATS.join(", ")}.`);
     }
-  });
 
-  /* Get orders of user. */
-  app.get("/orders/all", authenticateToken, async (req, res) => {
-    try{
-      let allOrders = await Order.find({ user : req.user.id });
-      return res.status(200).json(allOrders);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+    // Aggregations do not cast the filter, so the user ID is cast here.
+    let baseFilter = {};
+    if(req.query.user !== undefined) {
+      if(!mongoose.isValidObjectId(req.query.user)) {
+        throw new BadRequestError("user must be a user ID.");
+      }
+      baseFilter.user = new mongoose.Types.ObjectId(req.query.user);
+    }
+    const {filter, error} = buildOrderFilter(req.query, baseFilter);
+    if(error) {
+      throw new BadRequestError(error);
     }
-  });
+    await audit(req, "order.export", { details: { format: format, query: req.query } });
 
-  /* Get a single order info. */
-  app.get("/order/:orderID", authenticateToken, async (req, res) => {
-    try{
-      const {orderID} = req.params;
-      const orderFound = await Order.findOne({ _id: orderID });
-
-      if(orderFound) {
-        // Admin can see orders of any person, including himself/herself.
-        // Simple users can only access their orders.
-        if(req.user.role !== "Admin" && orderFound.user.toString() !== req.user.id) {
-          return res.status(403).json({
-            "message": "Unauthorized Access."
-          });
+    const cursor = Order.aggregate(orderExportPipeline(filter)).cursor();
+    try {
+      // The download starts once the first order is read: until then, a
+      // failing aggregation still answers a plain JSON error.
+      let orderFound = await cursor.next();
+      res.status(200);
+      res.attachment(`orders.${format}`);
+      res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+      if(format === "csv") {
+        res.write(csvLine(ORDER_EXPORT_FIELDS));
+      }
+
+      // Stop when the client went away.
+      while(orderFound && !res.destroyed) {
+        const line = format === "csv" ?
+          exportedOrderLine(orderFound) : JSON.stringify(exportedOrder(orderFound)) + "\n";
+        if(!res.write(line)) {
+          await drained(res);
         }
-        return res.status(200).json(orderFound);
-      } else {
-        return res.status(404).json({
-          "message": "No order found."
-        });
+        orderFound = await cursor.next();
       }
-    } catch(error) {
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+    } finally {
+      await cursor.close();
+    }
+    res.end();
+  }));
+
+  /* Get the orders a courier has to deliver. */
+  app.get("/orders/deliveries", authenticateToken, authorize("order:listAssigned"), asyncHandler(async (req, res) => {
+    return listOrders(req, res, { courier: req.user.id });
+  }));
+
+  /* Get a single order info. */
+  app.get("/order/:orderID", authenticateToken, asyncHandler(async (req, res) => {
+    const {orderID} = req.params;
+    const orderFound = await findOrder(orderID);
+
+    // Admin and Staff can see orders of any person, couriers the ones they deliver.
+    // Simple users can only access their orders.
+    if(!can(req.user, "order:read", orderFound)) {
+      throw new ForbiddenError("Unauthorized Access.");
     }
-  });
+    return res.status(200).json(serializeOrder(orderFound, req.user));
+  }));
 
   /* Add a new order. Admins can NOT add orders for other members. */
-  app.post("/order", authenticateToken, async (req, res) => {
-    try {
-      // ===== INSTRUMENTATION 4: Log order creation and performance timing =====
-      const startTime = Date.now();
-      console.log('[ORDERS] Creating new order:', {
-        userId: req.user.id,
-        orderData: req.body,
-        timestamp: new Date().toISOString()
-      });
+  app.post("/order", authenticateToken, authorize("order:create"), validate(schemas.orderCreate), asyncHandler(async (req, res) => {
+    // Validate order data integrity: only active catalog products,
+    // in positive quantities, can be ordered.
+    const {items, total, error} = await buildOrderItems(req.body);
+    if(error) {
+      ordersRejectedTotal.inc({ reason: "invalid_items" });
+      throw new BadRequestError(error);
+    }
 
-      // Validate order data integrity (commented out - for demonstration)
-      //assert(req.body.items, 'Order must contain items');
-      //assert(Array.isArray(req.body.items), 'Items must be an array');
-      //assert(req.body.items.length > 0, 'Order must have at least one item');
-
-      console.log('[ORDERS] Order validation passed');
-      // ========================================================================
-
-      const newOrder = new Order({ ...req.body });
-      newOrder.user = req.user.id;
-      const userExists = await User.exists({ _id: req.user.id });
-      // Obtain orders only if respective user exists.
-      if(userExists) {
-        const insertedOrder = await newOrder.save();
-
-        // ===== INSTRUMENTATION 5: Log creation success and performance =====
-        const duration = Date.now() - startTime;
-        console.log('[ORDERS] Order created successfully:', {
-          orderId: insertedOrder._id,
-          userId: req.user.id,
-          duration: duration + 'ms',
-          timestamp: new Date().toISOString()
-        });
-
-        if (duration > 500) {
-          console.warn('[ORDERS] PERFORMANCE WARNING: Slow order creation:', {
-            duration: duration + 'ms',
-            threshold: '500ms'
-          });
-        }
-        // ===================================================================
+    const newOrder = new Order({ ...matchedData(req), items, total });
+    newOrder.user = req.user.id;
+    // Keep the legacy shorthand only for single-box requests.
+    newOrder.type = req.body.items === undefined ? items[0].name : undefined;
 
-        return res.status(201).json(insertedOrder);
-      } else {
-        // ===== INSTRUMENTATION 6: Log user not found error =====
-        console.log('[ORDERS] Order creation failed: User does not exist:', {
-          userId: req.user.id,
-          timestamp: new Date().toISOString()
-        });
-        // =======================================================
-        return res.status(400).json({
-          "message": "No user associated with order."
-        });
-      }
+    const userFound = await User.findOne({ _id: req.user.id });
+    // Obtain orders only if respective user exists.
+    if(!userFound) {
+      req.log.warn("Order creation failed: user does not exist");
+      throw new BadRequestError("No user associated with order.");
+    }
+    // Accounts created before email verification have no flag and may order.
+    if(userFound.emailVerified === false) {
+      ordersRejectedTotal.inc({ reason: "email_not_verified" });
+      throw new ForbiddenError("Email not verified.");
+    }
+
+    const {reserved, outOfStock} = await reserveStock(items);
+    if(outOfStock) {
+      ordersRejectedTotal.inc({ reason: "out_of_stock" });
+      throw new ConflictError(`${outOfStock} is out of stock.`);
+    }
+    newOrder.reservedStock = reserved;
+
+    let insertedOrder;
+    try {
+      insertedOrder = await newOrder.save();
     } catch(error) {
-      // ===== INSTRUMENTATION 7: Enhanced error logging =====
-      console.log('[ORDERS] Order creation error:', {
-        error: error.message,
-        userId: req.user.id,
-        timestamp: new Date().toISOString()
-      });
-      // =====================================================
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+      // The order never existed, so its reservation must not stick either.
+      await releaseStock(reserved);
+      throw error;
     }
-  });
+
+    ordersCreatedTotal.inc();
+    req.log.info("Order created", { orderId: insertedOrder._id });
+
+    return res.status(201).json(serializeOrder(insertedOrder, req.user));
+  }));
 
   /* Update an *EXISTING* order. Admins CAN update orders of other members. */
-  app.put("/order", authenticateToken, async (req, res) => {
-    try {
-      const id = req.body._id;
-      const orderFound = await Order.findOne({ _id: id });
-      // If the user is not admin, then no access to other user orders
-      // should be allowed.
-      if(req.user.role !== "Admin" && orderFound.user.toString() !== req.user.id) {
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
+  app.put("/order", authenticateToken, validate(schemas.orderUpdate), asyncHandler(async (req, res) => {
+    const id = req.body._id;
+    const orderFound = await findOrder(id);
+    // If the user is not admin, then no access to other user orders
+    // should be allowed.
+    if(!can(req.user, "order:update", orderFound)) {
+      throw new ForbiddenError("Unauthorized Access.");
+    }
+
+    // Only validated fields are applied; totals and reservations are computed here.
+    let update = matchedData(req);
+    delete update._id;
+
+    const writableFields = can(req.user, "order:reassign") ?
+      [...ORDER_WRITABLE_FIELDS, "user"] : ORDER_WRITABLE_FIELDS;
+    const forbiddenFields = Object.keys(update).filter(field => !writableFields.includes(field));
+    if(forbiddenFields.length > 0) {
+      throw new ForbiddenError(`Unauthorized Request. Users cannot change: ${forbiddenFields.join(", ")}.`,
+        { fields: forbiddenFields });
+    }
+
+    // Orders can only be reassigned to existing users.
+    if("user" in update) {
+      const userExists = await User.exists({ _id: update.user });
+      if(!userExists) {
+        throw new BadRequestError("No user associated with order.");
+      }
+    }
+
+    // Changing the items (or the legacy type) re-prices the whole order.
+    let filter = { _id: id };
+    let reserved = null;
+    if("items" in req.body || "type" in req.body) {
+      if(orderFound.status !== "placed") {
+        throw new ConflictError("Items can only be changed while the order is placed.");
+      }
+
+      const {items, total, error} = await buildOrderItems(req.body);
+      if(error) {
+        throw new BadRequestError(error);
       }
 
-      if(orderFound) {
-        const updatedOrder = await Order.findByIdAndUpdate(id, req.body, {"new": true});
-        return res.status(201).json(updatedOrder);
+      // Swap the reservation: take the new items first, so that the order
+      // keeps its old reservation when they are out of stock.
+      const reservation = await reserveStock(items);
+      if(reservation.outOfStock) {
+        throw new ConflictError(`${reservation.outOfStock} is out of stock.`);
+      }
+      reserved = reservation.reserved;
+      // Only replace the reservation read here, so concurrent changes can't
+      // both give it back.
+      filter = { _id: id, status: "placed", reservedStock: orderFound.reservedStock };
+
+      update.reservedStock = reserved;
+      update.items = items;
+      update.total = total;
+      if("items" in req.body) {
+        delete update.type;
+        update.$unset = { type: 1 };
       } else {
-        return res.status(404).json({
-          "message": "No order found."
-        });
+        update.type = items[0].name;
       }
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(filter, update, {"new": true, "runValidators": true});
+    if(!updatedOrder) {
+      if(reserved) {
+        await releaseStock(reserved);
+      }
+      throw new ConflictError("Order changed concurrently, please retry.");
+    }
+    if(reserved) {
+      await releaseStock(orderFound.reservedStock);
+    }
+    if(actsOnOthersOrder(req, orderFound)) {
+      await audit(req, "order.update", {
+        targetType: "order",
+        targetId: id,
+        before: serializeOrder(orderFound, req.user),
+        after: serializeOrder(updatedOrder, req.user)
+      });
+    }
+    return res.status(201).json(serializeOrder(updatedOrder, req.user));
+  }));
+
+  /* Move an order to its next status. Admins and Staff can follow any allowed
+   * transition, couriers can mark the orders they deliver as delivered, and
+   * owners can only cancel their order before it is being prepared. */
+  app.post("/order/:orderID/status", authenticateToken, validate(schemas.orderStatus), asyncHandler(async (req, res) => {
+    const {orderID} = req.params;
+    const {status} = req.body;
+
+    const orderFound = await findOrder(orderID);
+
+    if(!can(req.user, "order:read", orderFound)) {
+      throw new ForbiddenError("Unauthorized Access.");
+    }
+    if(!can(req.user, STATUS_ACTIONS[status] || "order:advance", orderFound)) {
+      throw new ForbiddenError(`Unauthorized Access - Can not move orders to ${status}.`);
+    }
+
+    if(!canTransition(orderFound.status, status)) {
+      throw new ConflictError(`Order can not move from ${orderFound.status} to ${status}.`,
+        { from: orderFound.status, to: status });
+    }
+
+    // Cancelled orders give their stock back; from preparing on, the kitchen
+    // consumed it. Either way, the order no longer holds a reservation.
+    let update = { status: status };
+    if(!STOCK_RESERVING_STATUSES.includes(status)) {
+      update.reservedStock = [];
+    }
+
+    // Match on the current status too, so concurrent changes can't both apply.
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: orderID, status: orderFound.status },
+      update,
+      {"new": true}
+    );
+    if(!updatedOrder) {
+      throw new ConflictError("Order status changed concurrently, please retry.");
+    }
+    if(status === "cancelled") {
+      await releaseStock(orderFound.reservedStock);
+    }
+    if(actsOnOthersOrder(req, orderFound)) {
+      await audit(req, "order.status_change", {
+        targetType: "order",
+        targetId: orderID,
+        before: { status: orderFound.status },
+        after: { status: updatedOrder.status }
       });
     }
-  });
+    return res.status(200).json(serializeOrder(updatedOrder, req.user));
+  }));
 
-  /* Delete an order. */
-  app.delete("/order/:orderID", authenticateToken, async (req, res) => {
-    try{
-      const { orderID } = req.params;
-      const orderFound = await Order.findOne({ _id: orderID });
+  /* Assign an order to a courier for delivery, or take it back with courier: null. */
+  app.post("/order/:orderID/courier", authenticateToken, authorize("order:assignCourier"), validate(schemas.courierAssign), asyncHandler(async (req, res) => {
+    const {orderID} = req.params;
+    const {courier} = req.body;
+    const orderFound = await findOrder(orderID);
 
-      if(req.user.role !== "Admin" && orderFound.user.toString() !== req.user.id) {
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
+    let update = { $unset: { courier: 1 } };
+    if(courier !== null) {
+      const courierExists = await User.exists({ _id: courier, role: "Courier" });
+      if(!courierExists) {
+        throw new BadRequestError("Courier must be a user with the Courier role.");
       }
+      update = { courier: courier };
+    }
 
-      const orderDeleted = await Order.findByIdAndDelete(orderID);
-      return res.status(200).json(orderDeleted);
-    } catch(error) {
-      return res.status(400).json({
-        "message": "Bad Request."
+    const updatedOrder = await Order.findByIdAndUpdate(orderID, update, {"new": true});
+    await audit(req, "order.courier_assign", {
+      targetType: "order",
+      targetId: orderID,
+      before: { courier: orderFound.courier },
+      after: { courier: updatedOrder.courier }
+    });
+    return res.status(200).json(serializeOrder(updatedOrder, req.user));
+  }));
+
+  /* Delete an order. The order is only marked deleted (see lib/softDelete.js)
+   * and gives its stock back; it can be restored until it is purged. */
+  app.delete("/order/:orderID", authenticateToken, asyncHandler(async (req, res) => {
+    const { orderID } = req.params;
+    const orderFound = await findOrder(orderID);
+
+    if(!can(req.user, "order:delete", orderFound)) {
+      throw new ForbiddenError("Unauthorized Access.");
+    }
+
+    // Resolves to the order as it was, with the reservation to give back.
+    const orderDeleted = await Order.findOneAndUpdate(
+      { _id: orderID },
+      { deletedAt: new Date(), reservedStock: [] }
+    );
+    if(!orderDeleted) {
+      throw new NotFoundError("No order found.");
+    }
+    await releaseStock(orderDeleted.reservedStock);
+    if(actsOnOthersOrder(req, orderDeleted)) {
+      await audit(req, "order.delete", {
+        targetType: "order",
+        targetId: orderID,
+        before: serializeOrder(orderDeleted, req.user)
       });
     }
-  });
+    return res.status(200).json(serializeOrder(orderDeleted, req.user));
+  }));
+
+  /* Restore a deleted order. Orders not yet being prepared take their stock
+   * again; later ones were already served from it. */
+  app.post("/order/:orderID/restore", authenticateToken, authorize("order:restore"), asyncHandler(async (req, res) => {
+    const { orderID } = req.params;
+    const orderFound = await Order.findOne({ _id: orderID, deletedAt: { $ne: null } });
+    if(!orderFound) {
+      throw new NotFoundError("No deleted order found.");
+    }
+
+    let reserved = [];
+    if(STOCK_RESERVING_STATUSES.includes(orderFound.status)) {
+      const reservation = await reserveStock(orderFound.items);
+      if(reservation.outOfStock) {
+        throw new ConflictError(`${reservation.outOfStock} is out of stock.`);
+      }
+      reserved = reservation.reserved;
+    }
+
+    const orderRestored = await Order.findOneAndUpdate(
+      { _id: orderID, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1 }, reservedStock: reserved },
+      {"new": true}
+    );
+    if(!orderRestored) {
+      await releaseStock(reserved);
+      throw new ConflictError("Order restored concurrently.");
+    }
+    await audit(req, "order.restore", { targetType: "order", targetId: orderID });
+    return res.status(200).json(serializeOrder(orderRestored, req.user));
+  }));
 }
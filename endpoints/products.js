@@ -0,0 +1,131 @@
+require('dotenv').config();
+
+const {matchedData} = require("express-validator");
+
+const {authenticateToken} = require("./auth");
+const {validate, schemas} = require("../lib/validation");
+const {authorize} = require("../lib/policy");
+const {audit} = require("../lib/audit");
+const {NotFoundError, ConflictError, asyncHandler} = require("../lib/errors");
+
+const product = require("../models/product");
+const Product = product.Product;
+
+module.exports = (app) => {
+
+  /****** Product Catalog Tasks. ******/
+
+  /* Get all orderable products. Public, no authentication needed. */
+  app.get("/products", asyncHandler(async (req, res) => {
+    const activeProducts = await Product.find({ active: true });
+    return res.status(200).json(activeProducts);
+  }));
+
+  /* Get the whole catalog, including inactive products. */
+  app.get("/products/all", authenticateToken, authorize("product:readAll"), asyncHandler(async (req, res) => {
+    const allProducts = await Product.find();
+    return res.status(200).json(allProducts);
+  }));
+
+  /* Get tracked products whose stock is at or below their low-stock threshold. */
+  app.get("/products/low-stock", authenticateToken, authorize("product:readLowStock"), asyncHandler(async (req, res) => {
+    const lowStockProducts = await Product.find({
+      stock: { $ne: null },
+      $expr: { $lte: ["$stock", "$lowStockThreshold"] }
+    }).sort({ stock: 1 });
+    return res.status(200).json(lowStockProducts);
+  }));
+
+  /* Get a single product info. */
+  app.get("/product/:productID", asyncHandler(async (req, res) => {
+    const {productID} = req.params;
+    const productFound = await Product.findOne({ _id: productID });
+    if(!productFound) {
+      throw new NotFoundError("No product found.");
+    }
+    return res.status(200).json(productFound);
+  }));
+
+  /* Add a new product to the catalog. */
+  app.post("/product", authenticateToken, authorize("product:create"), validate(schemas.productCreate), asyncHandler(async (req, res) => {
+    // Product names are the order types, so they have to stay unique.
+    const productExists = await Product.exists({ name: req.body.name });
+    if(productExists) {
+      throw new ConflictError("Product Exists.");
+    }
+
+    const newProduct = new Product(matchedData(req));
+    const insertedProduct = await newProduct.save();
+    await audit(req, "product.create", {
+      targetType: "product",
+      targetId: insertedProduct._id,
+      after: insertedProduct.toJSON()
+    });
+    return res.status(201).json(insertedProduct);
+  }));
+
+  /* Update an *EXISTING* product. */
+  app.put("/product", authenticateToken, authorize("product:update"), validate(schemas.productUpdate), asyncHandler(async (req, res) => {
+    const {_id, ...update} = matchedData(req);
+    const productFound = await Product.findOne({ _id: _id });
+    if(!productFound) {
+      throw new NotFoundError("No product found.");
+    }
+    const updatedProduct = await Product.findByIdAndUpdate(_id, update, {"new": true, "runValidators": true});
+    if(!updatedProduct) {
+      throw new NotFoundError("No product found.");
+    }
+    await audit(req, "product.update", {
+      targetType: "product",
+      targetId: _id,
+      before: productFound.toJSON(),
+      after: updatedProduct.toJSON()
+    });
+    return res.status(201).json(updatedProduct);
+  }));
+
+  /* Add units to a product's stock. Starts tracking stock for untracked products. */
+  app.post("/product/:productID/restock", authenticateToken, authorize("product:restock"), validate(schemas.restock), asyncHandler(async (req, res) => {
+    const {productID} = req.params;
+    const {quantity} = req.body;
+
+    // $inc keeps concurrent orders and restocks from overwriting each other.
+    let productUpdated = await Product.findOneAndUpdate(
+      { _id: productID, stock: { $ne: null } },
+      { $inc: { stock: quantity } },
+      {"new": true}
+    );
+    if(!productUpdated) {
+      productUpdated = await Product.findOneAndUpdate(
+        { _id: productID, stock: null },
+        { stock: quantity },
+        {"new": true}
+      );
+    }
+
+    if(!productUpdated) {
+      throw new NotFoundError("No product found.");
+    }
+    await audit(req, "product.restock", {
+      targetType: "product",
+      targetId: productID,
+      details: { quantity: quantity, stock: productUpdated.stock }
+    });
+    return res.status(200).json(productUpdated);
+  }));
+
+  /* Delete a product. Prefer deactivating (active: false) products that were ever ordered. */
+  app.delete("/product/:productID", authenticateToken, authorize("product:delete"), asyncHandler(async (req, res) => {
+    const {productID} = req.params;
+    const productDeleted = await Product.findByIdAndDelete(productID);
+    if(!productDeleted) {
+      throw new NotFoundError("No product found.");
+    }
+    await audit(req, "product.delete", {
+      targetType: "product",
+      targetId: productID,
+      before: productDeleted.toJSON()
+    });
+    return res.status(200).json(productDeleted);
+  }));
+}
@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+const {authenticateToken} = require("./auth");
+const {validate, schemas} = require("../lib/validation");
+const {authorize} = require("../lib/policy");
+const {audit} = require("../lib/audit");
+const {retentionDays} = require("../lib/softDelete");
+const {asyncHandler} = require("../lib/errors");
+
+const user = require("../models/user");
+const User = user.User;
+
+const order = require("../models/order");
+const Order = order.Order;
+
+const DAY_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+module.exports = (app) => {
+
+  /****** Soft Deletion Maintenance. ******/
+
+  /* Permanently remove the users and orders deleted more than retentionDays
+   * (default SOFT_DELETE_RETENTION_DAYS) days ago. */
+  app.post("/purge", authenticateToken, authorize("data:purge"), validate(schemas.purge), asyncHandler(async (req, res) => {
+    const days = req.body.retentionDays === undefined ? retentionDays() : req.body.retentionDays;
+    const deletedBefore = new Date(Date.now() - days * DAY_MILLISECONDS);
+
+    const purgedFilter = { deletedAt: { $lte: deletedBefore } };
+    const [usersPurged, ordersPurged] = await Promise.all([
+      User.deleteMany(purgedFilter),
+      Order.deleteMany(purgedFilter)
+    ]);
+
+    const purged = {
+      "deletedBefore": deletedBefore,
+      "users": usersPurged.deletedCount,
+      "orders": ordersPurged.deletedCount
+    };
+    await audit(req, "data.purge", { details: purged });
+    return res.status(200).json(purged);
+  }));
+}
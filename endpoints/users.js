@@ -1,4 +1,3 @@
-var jwt = require("jsonwebtoken");
 var bcrypt = require("bcrypt");
 
 require('dotenv').config();
@@ -9,224 +8,463 @@ const User = user.User;
 const order = require("../models/order");
 const Order = order.Order;
 
+const {matchedData} = require("express-validator");
+
 const {authenticateToken} = require("./auth");
+const {validate, schemas} = require("../lib/validation");
+const {issueTokens, rotateRefreshToken, revokeSession, revokeAllSessions,
+  createActionToken, consumeActionToken} = require("../lib/tokens");
+const {sendMail} = require("../lib/mailer");
+const {loginThrottle} = require("../lib/loginThrottle");
+const {parseListQuery, paginate, escapeRegExp} = require("../lib/pagination");
+const {serializeUser} = require("../lib/serializers");
+const {can, authorize} = require("../lib/policy");
+const {audit} = require("../lib/audit");
+const {parseDeletionPolicy, deleteUser, restoreUser} = require("../lib/userDeletion");
+const {parseExportFormat, sendUserData} = require("../lib/dataExport");
+const {BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError,
+  ConflictError, TooManyRequestsError, asyncHandler} = require("../lib/errors");
+
+// Lifetimes of mailed tokens in seconds.
+const PASSWORD_RESET_TTL = Number(process.env.PASSWORD_RESET_TTL) || 60 * 60;
+const EMAIL_VERIFICATION_TTL = Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 60 * 60;
+
+// Fields user lists can be sorted by (see lib/pagination.js).
+const USER_SORTABLE_FIELDS = ["_id", "createdAt", "name", "email", "role"];
+
+/* Mail a new email verification token to a user. */
+const sendVerificationMail = async (userFound) => {
+  const token = await createActionToken(userFound._id, "email_verification", EMAIL_VERIFICATION_TTL);
+  await sendMail({
+    to: userFound.email,
+    subject: "Verify your email",
+    text: `Hello ${userFound.name},\n\n` +
+      `Confirm your email by opening GET /verify-email?token=${token} . ` +
+      `The link expires in ${Math.round(EMAIL_VERIFICATION_TTL / 3600)} hours.\n\n` +
+      `You can place orders once your email is verified.`
+  });
+};
 
 module.exports = (app) => {
 
   /****** User Authentication Tasks. ******/
 
   /* Register a new user */
-  app.post("/register", async (req, res) => {
-  try {
-    // TODO: Check if it can be removed.
-    // If email is in bad form, return 400.
-    if(!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(req.body.email)) {
-      return res.status(400).json({
-          "message": "Email is in bad form."
+  app.post("/register", validate(schemas.register), asyncHandler(async (req, res) => {
+    // If user exists (email), prevent insertion. Deleted users keep their
+    // email until they are purged.
+    const userExists = await User.exists({ email: req.body.email }).setOptions({ withDeleted: true });
+    if(userExists) {
+      throw new ConflictError("User Exists.");
+    }
+
+    let data = matchedData(req);
+    data.password = bcrypt.hashSync(req.body.password, 8);
+    // Only admins give roles (PUT /user/:userID/role).
+    data.role = "User";
+    // New accounts stay unverified until the mailed token is confirmed.
+    data.emailVerified = false;
+    const newUser = new User(data);
+    const insertedUser = await newUser.save();
+    await sendVerificationMail(insertedUser);
+    return res.status(201).json(serializeUser(insertedUser));
+  }));
+
+  /* Authenticate a user. */
+  app.post("/login", validate(schemas.login), asyncHandler(async (req, res) => {
+    // Locked out accounts and IPs are refused before any password check.
+    const retryAfter = await loginThrottle.retryAfter(req.body.email, req.ip);
+    if (retryAfter > 0) {
+      await audit(req, "auth.login_locked", { details: { email: req.body.email, retryAfter: retryAfter } });
+      throw new TooManyRequestsError("Too many failed login attempts. Try again later.", retryAfter);
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      await loginThrottle.recordFailure(req.body.email, req.ip);
+      await audit(req, "auth.login_failed", { details: { email: req.body.email, reason: "unknown_email" } });
+      throw new NotFoundError("User Not found.");
+    }
+
+    //Compare passwords.
+    var passwordIsValid = bcrypt.compareSync(
+      req.body.password,
+      user.password
+    );
+    // Checking if password was valid and send response accordingly.
+    if (!passwordIsValid) {
+      await loginThrottle.recordFailure(req.body.email, req.ip);
+      await audit(req, "auth.login_failed", {
+        targetType: "user",
+        targetId: user._id,
+        details: { email: req.body.email, reason: "wrong_password" }
       });
+      throw new UnauthorizedError("Invalid Password!");
     }
-    // If user exists (email), prevent insertion.
-    const userExists = await User.exists({ email: req.body.email });
-    if(!userExists) {
-      let data = { ...req.body };
-      data.password = bcrypt.hashSync(req.body.password, 8);
-      const newUser = new User(data);  
-      const insertedUser = await newUser.save();
-      return res.status(201).json(insertedUser);
-    } else {
-      return res.status(409).json({
-          "message": "User Exists."
+    await loginThrottle.recordSuccess(req.body.email);
+
+    // Short-lived access token (signed with the API secret) plus a refresh token.
+    const tokens = await issueTokens(user);
+
+    // Responding to client request with user profile success message.
+    return res.status(200)
+      .send({
+        user: {
+          id: user._id,
+          email: user.email,
+          role: user.role,
+          name: user.name,
+        },
+        message: "Login successfull",
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
       });
+  }));
+
+  /* Exchange a refresh token for a new access/refresh token pair.
+   * The presented refresh token can not be used again. */
+  app.post("/token/refresh", validate(schemas.tokenRefresh), asyncHandler(async (req, res) => {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    if(!tokens) {
+      throw new UnauthorizedError("Invalid refresh token.");
     }
-  } catch(error) {
-    console.log(error);
-    return res.status(400).json({
-    "message": "Bad Request."
+    return res.status(200).json(tokens);
+  }));
+
+  /* Log out of the current session, revoking its access and refresh tokens. */
+  app.post("/logout", authenticateToken, asyncHandler(async (req, res) => {
+    await revokeSession(req.user.jti);
+    return res.status(200).json({
+      "message": "Logged out."
     });
-  }
-  });
+  }));
 
-  /* Authenticate a user. */
-  app.post("/login", async (req, res) => {
-    try{
-      User.findOne({ email: req.body.email }).exec((error, user) => {
-        if (error) {
-          res.status(500).send({
-            message: err
-          });
-          return;
-        }
-        if (!user) {
-          return res.status(404).send({
-            message: "User Not found."
-          });
-        }
-
-        //Compare passwords.
-        var passwordIsValid = bcrypt.compareSync(
-          req.body.password,
-          user.password
-        );
-        // Checking if password was valid and send response accordingly.
-        if (!passwordIsValid) {
-          return res.status(401).send({
-            accessToken: null,
-            message: "Invalid Password!"
-          });
-        }
-        //signing token with user id (utilizing API secret).
-        var token = jwt.sign({
-          id: user.id
-        }, process.env.API_SECRET, {
-          expiresIn: 86400
-        });
-
-        // Responding to client request with user profile success message.
-        res.status(200)
-          .send({
-            user: {
-              id: user._id,
-              email: user.email,
-              role: user.role,
-              name: user.name,
-            },
-            message: "Login successfull",
-            accessToken: token,
-          });
-      });
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
+  /* Log out of every session of the user. */
+  app.post("/logout-all", authenticateToken, asyncHandler(async (req, res) => {
+    const revokedCount = await revokeAllSessions(req.user.id);
+    await audit(req, "auth.logout_all", { targetType: "user", targetId: req.user.id, details: { revoked: revokedCount } });
+    return res.status(200).json({
+      "message": "Logged out of all sessions.",
+      "revoked": revokedCount
+    });
+  }));
+
+  /* Confirm the email of an account with the mailed verification token. */
+  app.get("/verify-email", asyncHandler(async (req, res) => {
+    const tokenUsed = await consumeActionToken(req.query.token, "email_verification");
+    if(!tokenUsed) {
+      throw new BadRequestError("Invalid or expired token.");
+    }
+
+    const userUpdated = await User.findByIdAndUpdate(tokenUsed.user, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    if(!userUpdated) {
+      throw new BadRequestError("No user found.");
+    }
+    return res.status(200).json({
+      "message": "Email verified."
+    });
+  }));
+
+  /* Mail a new verification token to the logged in user. */
+  app.post("/verify-email/resend", authenticateToken, asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ _id: req.user.id });
+    if(userFound.emailVerified !== false) {
+      throw new ConflictError("Email already verified.");
+    }
+
+    await sendVerificationMail(userFound);
+    return res.status(200).json({
+      "message": "Verification email sent."
+    });
+  }));
+
+  /* Request a password reset token by mail.
+   * Always answers the same way, so it can't be used to probe for registered emails. */
+  app.post("/password/forgot", validate(schemas.passwordForgot), asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ email: req.body.email });
+    if(userFound) {
+      const token = await createActionToken(userFound._id, "password_reset", PASSWORD_RESET_TTL);
+      await sendMail({
+        to: userFound.email,
+        subject: "Password reset",
+        text: `Hello ${userFound.name},\n\n` +
+          `Use the following token to reset your password through POST /password/reset. ` +
+          `It expires in ${Math.round(PASSWORD_RESET_TTL / 60)} minutes and can only be used once.\n\n` +
+          `${token}\n\nIf you did not ask for a password reset, you can ignore this message.`
       });
     }
-  });
+    return res.status(200).json({
+      "message": "If the email is registered, a reset token has been sent."
+    });
+  }));
+
+  /* Set a new password using a reset token. Logs the user out everywhere. */
+  app.post("/password/reset", validate(schemas.passwordReset), asyncHandler(async (req, res) => {
+    const {token, password} = req.body;
+    const tokenUsed = await consumeActionToken(token, "password_reset");
+    if(!tokenUsed) {
+      throw new BadRequestError("Invalid or expired token.");
+    }
+
+    const userUpdated = await User.findByIdAndUpdate(tokenUsed.user, {
+      password: bcrypt.hashSync(password, 8)
+    });
+    if(!userUpdated) {
+      throw new BadRequestError("No user found.");
+    }
+    await revokeAllSessions(tokenUsed.user);
+    await audit(req, "auth.password_reset", { targetType: "user", targetId: tokenUsed.user });
+
+    return res.status(200).json({
+      "message": "Password updated."
+    });
+  }));
 
   /* ADMINISTRATOR TASKS. */
-  app.get("/users", authenticateToken, async (req, res) => {
-    try{
-      // This is an admin-only operation.
-      if(req.user.role !== "Admin") {
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
-      }
+  app.get("/users", authenticateToken, authorize("user:list"), asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(req.query, USER_SORTABLE_FIELDS);
+    if(listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
 
-      const allUsers = await User.find();
-      return res.status(200).json(allUsers);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+    // Optional filters: exact role, case-insensitive email substring.
+    let filter = {};
+    if(req.query.role !== undefined) {
+      filter.role = String(req.query.role);
     }
-  });
+    if(req.query.email !== undefined) {
+      filter.email = new RegExp(escapeRegExp(req.query.email), "i");
+    }
+
+    const page = await paginate(User, filter, listQuery, userFound => serializeUser(userFound, req.user));
+    return res.status(200).json(page);
+  }));
+
+  /* Lift the failed-login lockout of a user's account. */
+  app.post("/user/:userID/unlock", authenticateToken, authorize("user:unlock"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const userFound = await User.findOne({ _id: userID });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
+    }
+
+    await loginThrottle.unlockAccount(userFound.email);
+    await audit(req, "user.unlock", { targetType: "user", targetId: userFound._id });
+    return res.status(200).json({
+      "message": "Account unlocked."
+    });
+  }));
+
+  /* Mark the email of any user as verified, without a token. */
+  app.post("/user/:userID/verify", authenticateToken, authorize("user:verify"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const userUpdated = await User.findByIdAndUpdate(userID, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    }, {"new": true});
+    if(!userUpdated) {
+      throw new NotFoundError("No user found.");
+    }
+    await audit(req, "user.verify", { targetType: "user", targetId: userUpdated._id });
+    return res.status(200).json(serializeUser(userUpdated, req.user));
+  }));
 
   /* Get information of any user. */
-  app.get("/user/:userID", authenticateToken, async (req, res) => {
-    try{
-      // This is an admin-only operation.
-      if(req.user.role !== "Admin") {
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
-      }
-      const { userID } = req.params;
-      const userFound = await User.findOne({ user: userID });
-      return res.status(200).json(userFound);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+  app.get("/user/:userID", authenticateToken, authorize("user:read"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const userFound = await User.findOne({ _id: userID });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
     }
-  });
+    return res.status(200).json(serializeUser(userFound, req.user));
+  }));
 
-  /* Delete a user. */
-  app.delete("/user/:userID", authenticateToken, async (req, res) => {
-    try{
-      // This is an admin-only operation.
-      if(req.user.role !== "Admin") {
-        return res.status(403).json({
-            "message": "Unauthorized Access."
-        });
-      }
-      const { userID } = req.params;
-      const userFound = await User.findOne({ _id: userID });
-      if(userFound.role === "Admin") {
-        return res.status(403).json({
-            "message": "Unauthorized Access - Admins can not delete admins."
-        });
+  /* Delete a user. The account is only marked deleted (see lib/softDelete.js):
+   * it can be restored until it is purged. Their orders follow the deletion
+   * policy (see lib/userDeletion.js), reported with how many were affected. */
+  app.delete("/user/:userID", authenticateToken, authorize("user:delete"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const userFound = await User.findOne({ _id: userID });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
+    }
+    if(!can(req.user, "user:delete", userFound)) {
+      throw new ForbiddenError("Unauthorized Access - Admins can not delete admins.");
+    }
+
+    const {error, ...deletionPolicy} = parseDeletionPolicy(req.query);
+    if(error) {
+      throw new BadRequestError(error);
+    }
+    if(deletionPolicy.reassignTo) {
+      const recipientExists = deletionPolicy.reassignTo !== userID && await User.exists({ _id: deletionPolicy.reassignTo });
+      if(!recipientExists) {
+        throw new BadRequestError("Orders can only be reassigned to another existing user.");
       }
+    }
 
-      const userDeleted = await User.findByIdAndDelete(userID);
-      return res.status(200).json(userDeleted);
-    } catch(error) {
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+    const {userDeleted, orders} = await deleteUser(userID, deletionPolicy);
+    await revokeAllSessions(userID);
+    await audit(req, "user.delete", {
+      targetType: "user",
+      targetId: userID,
+      before: serializeUser(userDeleted, req.user),
+      details: { orders: orders }
+    });
+    return res.status(200).json({ ...serializeUser(userDeleted, req.user), "orders": orders });
+  }));
+
+  /* Export everything stored about a user on their behalf, as /me/export does. */
+  app.get("/user/:userID/export", authenticateToken, authorize("user:export"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const {format, error} = parseExportFormat(req.query);
+    if(error) {
+      throw new BadRequestError(error);
     }
-  });
+    const userFound = await User.findOne({ _id: userID }).setOptions({ withDeleted: true });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
+    }
+    await audit(req, "user.export", { targetType: "user", targetId: userID, details: { format: format } });
+    return sendUserData(res, userFound, format);
+  }));
+
+  /* Restore a deleted user, with the orders the cascade policy deleted along.
+   * Their sessions stay revoked: they log in again. */
+  app.post("/user/:userID/restore", authenticateToken, authorize("user:restore"), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const {userRestored, orders} = await restoreUser(userID);
+    await audit(req, "user.restore", { targetType: "user", targetId: userID, details: { orders: orders } });
+    return res.status(200).json({ ...serializeUser(userRestored, req.user), "orders": orders });
+  }));
+
+  /* Change the role of a user. Takes effect on their next request. */
+  app.put("/user/:userID/role", authenticateToken, authorize("user:changeRole"), validate(schemas.roleChange), asyncHandler(async (req, res) => {
+    const { userID } = req.params;
+    const userFound = await User.findOne({ _id: userID });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
+    }
+    if(!can(req.user, "user:changeRole", userFound)) {
+      throw new ForbiddenError("Unauthorized Access - Admins can not change their own role.");
+    }
+
+    const userUpdated = await User.findByIdAndUpdate(userID, { role: req.body.role }, {"new": true, "runValidators": true});
+    await audit(req, "user.role_change", {
+      targetType: "user",
+      targetId: userID,
+      before: { role: userFound.role },
+      after: { role: userUpdated.role }
+    });
+    return res.status(200).json(serializeUser(userUpdated, req.user));
+  }));
 
   /* USER TASKS */
 
   /* Get information of self user. */
-  app.get("/me", authenticateToken, async (req, res) => {
-    try {
-      const userFound = await User.findOne({ _id: req.user.id });
-      return res.status(200).json(userFound);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+  app.get("/me", authenticateToken, asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ _id: req.user.id });
+    return res.status(200).json(serializeUser(userFound, req.user));
+  }));
+
+  /* Export everything stored about the logged in user, as JSON or a zip of CSV files. */
+  app.get("/me/export", authenticateToken, asyncHandler(async (req, res) => {
+    const {format, error} = parseExportFormat(req.query);
+    if(error) {
+      throw new BadRequestError(error);
     }
-  });
+    const userFound = await User.findOne({ _id: req.user.id });
+    return sendUserData(res, userFound, format);
+  }));
 
   /* Update information of self user. */
-  app.put("/me", authenticateToken, async (req, res) => {
-    try {
-      const userFound = await User.findOne({ _id: req.user.id });
-      if(userFound) {
-      	if ("role" in req.body) {
-      	  return res.status(403).json({
-            "message": "Unauthorized Request. Users cannot change their role."
-          });
-      	}
-        const updatedUser = await User.findByIdAndUpdate(req.user.id, req.body, {"new": true});
-        return res.status(201).json(updatedUser);
-      } else {
-        return res.status(400).json({
-            "message": "No user found."
-        });
+  app.put("/me", authenticateToken, validate(schemas.meUpdate), asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ _id: req.user.id });
+    if(!userFound) {
+      throw new NotFoundError("No user found.");
+    }
+    if ("role" in req.body) {
+      throw new ForbiddenError("Unauthorized Request. Users cannot change their role.");
+    }
+
+    const update = matchedData(req);
+    const emailChanged = "email" in update && update.email !== userFound.email;
+    if(emailChanged) {
+      const emailTaken = await User.exists({ email: update.email }).setOptions({ withDeleted: true });
+      if(emailTaken) {
+        throw new ConflictError("User Exists.");
       }
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
+      // A new address has to be verified again.
+      update.emailVerified = false;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(req.user.id, update, {"new": true, "runValidators": true});
+    if(emailChanged) {
+      await audit(req, "user.email_change", {
+        targetType: "user",
+        targetId: req.user.id,
+        before: { email: userFound.email },
+        after: { email: updatedUser.email }
       });
+      await sendVerificationMail(updatedUser);
     }
-  });
+    return res.status(201).json(serializeUser(updatedUser, req.user));
+  }));
 
-  /* Get information of a user. */
-  app.get("/user/:userID", authenticateToken, async (req, res) => {
-    try{
+  /* Change the password of self user. Other sessions are logged out. */
+  app.post("/me/password", authenticateToken, validate(schemas.passwordChange), asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ _id: req.user.id });
+    const {currentPassword, newPassword} = req.body;
 
-      // This is an admin-only operation.
-      if(req.user.role !== "Admin") {
-        return res.status(403).json({
-          "message": "Unauthorized Access."
-        });
-      }
+    if(!bcrypt.compareSync(currentPassword, userFound.password)) {
+      throw new UnauthorizedError("Invalid Password!");
+    }
 
-      const { userID } = req.params;
-      const userFound = await User.findOne({ user: userID });
-      return res.status(200).json(userFound);
-    } catch(error) {
-      console.log(error);
-      return res.status(400).json({
-        "message": "Bad Request."
-      });
+    await User.findByIdAndUpdate(req.user.id, {
+      password: bcrypt.hashSync(newPassword, 8)
+    });
+    await revokeAllSessions(req.user.id, req.user.jti);
+    await audit(req, "auth.password_change", { targetType: "user", targetId: req.user.id });
+
+    return res.status(200).json({
+      "message": "Password updated."
+    });
+  }));
+
+  /* Delete the logged in user, once their password is confirmed. Their orders
+   * follow the deletion policy, which users can only choose between cascade and
+   * anonymize, and every session is logged out. */
+  app.delete("/me", authenticateToken, validate(schemas.meDelete), asyncHandler(async (req, res) => {
+    const userFound = await User.findOne({ _id: req.user.id });
+    if(!bcrypt.compareSync(req.body.password, userFound.password)) {
+      throw new UnauthorizedError("Invalid Password!");
+    }
+
+    const {error, ...deletionPolicy} = parseDeletionPolicy(req.query, { allowReassign: false });
+    if(error) {
+      throw new BadRequestError(error);
+    }
+
+    // Someone has to be left to manage the users.
+    if(userFound.role === "Admin") {
+      const otherAdmins = await User.countDocuments({ role: "Admin", _id: { $ne: userFound._id } });
+      if(otherAdmins === 0) {
+        throw new ConflictError("The last admin can not delete their account.");
+      }
     }
-  });   
+
+    const {userDeleted, orders} = await deleteUser(req.user.id, deletionPolicy);
+    await revokeAllSessions(req.user.id);
+    await audit(req, "user.delete", {
+      targetType: "user",
+      targetId: req.user.id,
+      before: serializeUser(userDeleted, req.user),
+      details: { orders: orders, self: true }
+    });
+    return res.status(200).json({ ...serializeUser(userDeleted, req.user), "orders": orders });
+  }));
 };
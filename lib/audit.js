@@ -0,0 +1,49 @@
+/* Audit trail of privileged and security-relevant actions.
+ * audit(req, action, event) stores who did what to which document, from
+ * where, and which fields changed. Recording never fails the request: a
+ * write error is logged instead. Pass serialized documents (lib/serializers.js)
+ * as before/after, so that password hashes never reach the trail. */
+const auditEvent = require("../models/auditEvent");
+const AuditEvent = auditEvent.AuditEvent;
+
+/* Fields whose values differ between two plain objects, as
+ * { field: { before, after } }, or undefined when nothing changed. */
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for(const field of fields) {
+    const beforeValue = before ? before[field] : undefined;
+    const afterValue = after ? after[field] : undefined;
+    if(JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = {
+        before: beforeValue === undefined ? null : beforeValue,
+        after: afterValue === undefined ? null : afterValue
+      };
+    }
+  }
+  return Object.keys(changes).length ? JSON.parse(JSON.stringify(changes)) : undefined;
+};
+
+/* Record an action of the request's user (req.user, if logged in).
+ * event: {targetType, targetId, before, after, details}. */
+const audit = async (req, action, event = {}) => {
+  try {
+    await new AuditEvent({
+      actor: req.user ? req.user.id : undefined,
+      actorRole: req.user ? req.user.role : undefined,
+      action: action,
+      targetType: event.targetType,
+      targetId: event.targetId === undefined ? undefined : String(event.targetId),
+      changes: diff(event.before, event.after),
+      details: event.details,
+      ip: req.ip
+    }).save();
+  } catch(error) {
+    req.log.error("Audit event not recorded", { action: action, error: error });
+  }
+};
+
+module.exports = {
+  audit: audit,
+  diff: diff
+};
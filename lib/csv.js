@@ -0,0 +1,36 @@
+/* CSV (RFC 4180) formatting for exports.
+ * Dates are written as ISO strings and objects as JSON. Text starting like a
+ * spreadsheet formula (=, +, -, @) is prefixed with a quote, so that opening
+ * an export never runs anything. */
+
+const csvField = (value) => {
+  if(value === undefined || value === null) {
+    return "";
+  }
+  let text;
+  if(value instanceof Date) {
+    text = value.toISOString();
+  } else if(typeof value === "object" && typeof value.toHexString !== "function") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if(typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/* One CSV line, terminated by CRLF. */
+const csvLine = (values) => values.map(csvField).join(",") + "\r\n";
+
+/* A CSV document: a header line of fields, then one line per row (plain objects). */
+const toCsv = (fields, rows) => {
+  return csvLine(fields) + rows.map(row => csvLine(fields.map(field => row[field]))).join("");
+};
+
+module.exports = {
+  csvLine: csvLine,
+  toCsv: toCsv
+};
@@ -0,0 +1,132 @@
+/* Personal data exports (GET /me/export and GET /user/:userID/export).
+ * An export bundles everything stored about a user: the profile (without
+ * the password hash), their orders (deleted ones included), the audit events
+ * they did or were the target of, and their login sessions. It is sent as
+ * JSON, or as a zip of one CSV file per part. */
+const archiver = require("archiver");
+
+const {toCsv} = require("./csv");
+const {serializeUser, serializeOrder, serializeAuditEvent} = require("./serializers");
+
+const order = require("../models/order");
+const Order = order.Order;
+
+const auditEvent = require("../models/auditEvent");
+const AuditEvent = auditEvent.AuditEvent;
+
+const refreshToken = require("../models/refreshToken");
+const RefreshToken = refreshToken.RefreshToken;
+
+const EXPORT_FORMATS = ["json", "zip"];
+
+/* Read the export format from the query string (default json).
+ * Resolves to {format}, or to {error} on bad input. */
+const parseExportFormat = (query) => {
+  const format = query.format || "json";
+  if(!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` };
+  }
+  return { format };
+};
+
+/* Collect the export of a user (a User document). */
+const collectUserData = async (userFound) => {
+  const [ordersFound, eventsFound, sessions] = await Promise.all([
+    Order.find({ user: userFound._id }).setOptions({ withDeleted: true }).sort({ _id: 1 }),
+    AuditEvent.find({
+      $or: [
+        { actor: userFound._id },
+        { targetType: "user", targetId: String(userFound._id) },
+        // Failed logins with the user's email, including before the account existed.
+        { "details.email": userFound.email }
+      ]
+    }).sort({ createdAt: 1 }),
+    // One session per login: a family of rotated refresh tokens.
+    RefreshToken.aggregate([
+      { $match: { user: userFound._id } },
+      { $group: {
+        _id: "$family",
+        startedAt: { $min: "$createdAt" },
+        lastRefreshedAt: { $max: "$createdAt" },
+        expiresAt: { $max: "$expiresAt" },
+        revokedAt: { $max: "$revokedAt" }
+      } },
+      { $sort: { startedAt: 1 } }
+    ])
+  ]);
+
+  return {
+    "exportedAt": new Date(),
+    // The user is looking at their own profile, private fields included.
+    "profile": { ...serializeUser(userFound), emailVerifiedAt: userFound.emailVerifiedAt || null },
+    "orders": ordersFound.map(orderFound => ({
+      ...serializeOrder(orderFound),
+      deletedAt: orderFound.deletedAt || null
+    })),
+    "auditEvents": eventsFound.map(eventFound => {
+      const event = serializeAuditEvent(eventFound);
+      // Who acted on the user, and from where, is not theirs to know.
+      if(event.actor && String(event.actor) !== String(userFound._id)) {
+        event.actor = null;
+        event.ip = null;
+      }
+      return event;
+    }),
+    "sessions": sessions.map(session => ({
+      startedAt: session.startedAt,
+      lastRefreshedAt: session.lastRefreshedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt || null
+    }))
+  };
+};
+
+/* The CSV files of the zip export, by file name. */
+const exportCsvFiles = (data) => ({
+  "profile.csv": toCsv(
+    ["_id", "name", "email", "address", "role", "emailVerified", "emailVerifiedAt"],
+    [data.profile]
+  ),
+  "orders.csv": toCsv(
+    ["_id", "type", "description", "total", "status", "courier", "deletedAt"],
+    data.orders
+  ),
+  "order-items.csv": toCsv(
+    ["order", "product", "name", "quantity", "unitPrice", "subtotal"],
+    data.orders.flatMap(orderFound => orderFound.items.map(item => ({ order: orderFound._id, ...item })))
+  ),
+  "audit-events.csv": toCsv(
+    ["_id", "createdAt", "action", "actor", "actorRole", "targetType", "targetId", "changes", "details", "ip"],
+    data.auditEvents
+  ),
+  "sessions.csv": toCsv(
+    ["startedAt", "lastRefreshedAt", "expiresAt", "revokedAt"],
+    data.sessions
+  )
+});
+
+/* Send the export of a user in format ("json" or "zip"). */
+const sendUserData = async (res, userFound, format) => {
+  const data = await collectUserData(userFound);
+  if(format === "json") {
+    return res.status(200).json(data);
+  }
+
+  res.status(200);
+  res.attachment(`export-${userFound._id}.zip`);
+  const archive = archiver("zip");
+  // Headers are gone once streaming started: a failure can only cut the download.
+  archive.on("error", error => res.destroy(error));
+  archive.pipe(res);
+  for(const [name, content] of Object.entries(exportCsvFiles(data))) {
+    archive.append(content, { name: name });
+  }
+  await archive.finalize();
+};
+
+module.exports = {
+  EXPORT_FORMATS: EXPORT_FORMATS,
+  parseExportFormat: parseExportFormat,
+  collectUserData: collectUserData,
+  sendUserData: sendUserData
+};
@@ -0,0 +1,141 @@
+/* Application errors and their HTTP mapping.
+ * Handlers throw (or reject with) these errors instead of answering failures
+ * themselves; errorHandler turns any error into a response of the form
+ * {"error": {"code", "message", "details"}}. Mongoose errors are mapped too:
+ * invalid IDs answer 400, validation errors 422, duplicate keys 409, and
+ * anything unexpected 500. */
+const mongoose = require("mongoose");
+
+class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = "Bad Request.", details) {
+    super(400, "BAD_REQUEST", message, details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required.", details) {
+    super(401, "UNAUTHORIZED", message, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Unauthorized Access.", details) {
+    super(403, "FORBIDDEN", message, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found.", details) {
+    super(404, "NOT_FOUND", message, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict.", details) {
+    super(409, "CONFLICT", message, details);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed.", details) {
+    super(422, "VALIDATION_FAILED", message, details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  /* retryAfter, in seconds, is sent as the Retry-After header. */
+  constructor(message = "Too many requests.", retryAfter) {
+    super(429, "TOO_MANY_REQUESTS", message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/* Wrap an async route handler, so that its rejections reach errorHandler
+ * (Express 4 ignores rejected promises). */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+/* Translate library errors into application errors. */
+const toAppError = (error) => {
+  if(error instanceof AppError) {
+    return error;
+  }
+  if(error instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${error.path}.`, { field: error.path });
+  }
+  if(error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError("Validation failed.", Object.values(error.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: fieldError.message
+    })));
+  }
+  if(error instanceof mongoose.Error.DocumentNotFoundError) {
+    return new NotFoundError();
+  }
+  if(error && error.code === 11000) {
+    return new ConflictError("Duplicate value.", { fields: Object.keys(error.keyValue || {}) });
+  }
+  // Malformed JSON bodies, as reported by express.json().
+  if(error && error.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body.");
+  }
+  return null;
+};
+
+/* Answer requests no route matched. */
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError("No such route."));
+};
+
+/* Express error middleware, registered after every route.
+ * Express recognizes it by its four parameters, next included. */
+const errorHandler = (error, req, res, next) => {
+  let appError = toAppError(error);
+  if(appError) {
+    req.log.debug("Request refused", { code: appError.code, message: appError.message });
+  } else {
+    req.log.error("Request failed", { error: error });
+    appError = new AppError(500, "INTERNAL_ERROR", "Internal Server Error.");
+  }
+
+  // A streamed response already started: Express can only cut it short.
+  if(res.headersSent) {
+    return next(error);
+  }
+
+  if(appError.retryAfter !== undefined) {
+    res.set("Retry-After", String(appError.retryAfter));
+  }
+  return res.status(appError.status).json({
+    "error": {
+      "code": appError.code,
+      "message": appError.message,
+      "details": appError.details
+    }
+  });
+};
+
+module.exports = {
+  AppError: AppError,
+  BadRequestError: BadRequestError,
+  UnauthorizedError: UnauthorizedError,
+  ForbiddenError: ForbiddenError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  ValidationError: ValidationError,
+  TooManyRequestsError: TooManyRequestsError,
+  asyncHandler: asyncHandler,
+  notFoundHandler: notFoundHandler,
+  errorHandler: errorHandler
+};
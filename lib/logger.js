@@ -0,0 +1,92 @@
+/* Structured JSON logger.
+ * One JSON object per line on stdout: {time, level, msg, ...fields}.
+ * LOG_LEVEL (error, warn, info, debug, or silent) sets the minimum level,
+ * "info" by default. Fields named like credentials (passwords, tokens,
+ * authorization headers...) are redacted at any depth. */
+require('dotenv').config();
+const crypto = require("crypto");
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED_KEYS = /pass(word)?|token|secret|authorization|cookie/i;
+
+/* Copy a value for logging, redacting credential fields and expanding errors. */
+const redact = (value, depth = 0) => {
+  if(value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if(value === null || typeof value !== "object" || depth > 5) {
+    return value;
+  }
+  if(Array.isArray(value)) {
+    return value.map(element => redact(element, depth + 1));
+  }
+  // Mongoose documents and ObjectIds know how to represent themselves.
+  if(typeof value.toJSON === "function") {
+    return redact(value.toJSON(), depth + 1);
+  }
+
+  let copy = {};
+  for(const key of Object.keys(value)) {
+    copy[key] = REDACTED_KEYS.test(key) ? "[REDACTED]" : redact(value[key], depth + 1);
+  }
+  return copy;
+};
+
+const createLogger = (bindings = {}, options = {}) => {
+  const level = options.level || process.env.LOG_LEVEL || "info";
+  const threshold = level in LEVELS ? LEVELS[level] : -1;
+  const write = options.write || (line => process.stdout.write(line + "\n"));
+
+  const log = (entryLevel) => (msg, fields = {}) => {
+    if(LEVELS[entryLevel] > threshold) {
+      return;
+    }
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: msg,
+      ...redact(bindings),
+      ...redact(fields)
+    }));
+  };
+
+  return {
+    error: log("error"),
+    warn: log("warn"),
+    info: log("info"),
+    debug: log("debug"),
+    /* A logger adding the given fields to every entry. */
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }, { level, write })
+  };
+};
+
+const logger = createLogger();
+
+/* Express middleware: gives each request an ID (taken from the X-Request-Id
+ * header when present), a child logger as req.log, and logs its completion. */
+const requestLogger = (req, res, next) => {
+  const requestId = req.get("X-Request-Id") || crypto.randomUUID();
+  const startTime = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId: requestId });
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    req.log.info("Request completed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+      userId: req.user ? req.user.id : undefined
+    });
+  });
+  next();
+};
+
+module.exports = {
+  createLogger: createLogger,
+  logger: logger,
+  requestLogger: requestLogger
+};
@@ -0,0 +1,165 @@
+/* Brute-force protection for /login.
+ * Failed attempts are counted per account (email) and per client IP. Past a
+ * threshold the key is locked out, and every further failure doubles the
+ * lockout, up to a maximum. Counters live in a store:
+ *   get(key)                         -> {failures, lockedUntil} or null
+ *   increment(key, expiresAt)        -> {failures, lockedUntil}
+ *   lock(key, lockedUntil)
+ *   reset(key)
+ * all returning promises. A memory store (single process) and a Mongo store
+ * (shared between instances) are provided. */
+require('dotenv').config();
+
+const loginAttempt = require("../models/loginAttempt");
+const LoginAttempt = loginAttempt.LoginAttempt;
+
+/* Expired entries are dropped when read, and swept on increment at most every
+ * sweepInterval seconds, so keys that are never seen again don't pile up. */
+const createMemoryStore = ({sweepInterval = 60} = {}) => {
+  const entries = new Map();
+  let lastSweep = Date.now();
+
+  const sweep = () => {
+    const now = Date.now();
+    if(now - lastSweep < sweepInterval * 1000) {
+      return;
+    }
+    lastSweep = now;
+    for(const [key, entry] of entries) {
+      if(entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if(entry && entry.expiresAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    get: get,
+    increment: async (key, expiresAt) => {
+      sweep();
+      const entry = (await get(key)) || { failures: 0, lockedUntil: null };
+      entry.failures += 1;
+      entry.expiresAt = new Date(Math.max(expiresAt, entry.lockedUntil || 0));
+      entries.set(key, entry);
+      return entry;
+    },
+    lock: async (key, lockedUntil) => {
+      const entry = entries.get(key);
+      if(entry) {
+        entry.lockedUntil = lockedUntil;
+        entry.expiresAt = new Date(Math.max(entry.expiresAt, lockedUntil));
+      }
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+    // Number of keys held, expired ones not swept yet included.
+    size: () => entries.size
+  };
+};
+
+const createMongoStore = () => {
+  return {
+    get: async (key) => {
+      return LoginAttempt.findOne({ key: key, expiresAt: { $gt: new Date() } });
+    },
+    increment: async (key, expiresAt) => {
+      // Counters whose window passed start over.
+      await LoginAttempt.deleteOne({ key: key, expiresAt: { $lte: new Date() } });
+      // Atomic, so concurrent attempts can't overwrite each other's count.
+      return LoginAttempt.findOneAndUpdate(
+        { key: key },
+        { $inc: { failures: 1 }, $max: { expiresAt: expiresAt } },
+        { "new": true, "upsert": true, "setDefaultsOnInsert": true }
+      );
+    },
+    lock: async (key, lockedUntil) => {
+      await LoginAttempt.updateOne({ key: key }, { lockedUntil: lockedUntil, $max: { expiresAt: lockedUntil } });
+    },
+    reset: async (key) => {
+      await LoginAttempt.deleteOne({ key: key });
+    }
+  };
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/* Create a throttle. Every option falls back to the environment, then to a default. */
+const createLoginThrottle = (options = {}) => {
+  const settings = {
+    store: options.store || createMemoryStore(),
+    maxAccountFailures: options.maxAccountFailures || Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    maxIpFailures: options.maxIpFailures || Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    // Seconds a failure is remembered for.
+    failureWindow: options.failureWindow || Number(process.env.LOGIN_FAILURE_WINDOW) || 15 * 60,
+    // Seconds of the first lockout, and the longest one.
+    lockout: options.lockout || Number(process.env.LOGIN_LOCKOUT) || 60,
+    maxLockout: options.maxLockout || Number(process.env.LOGIN_MAX_LOCKOUT) || 60 * 60
+  };
+
+  const secondsLocked = async (key) => {
+    const entry = await settings.store.get(key);
+    if(!entry || !entry.lockedUntil) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+  };
+
+  const fail = async (key, threshold) => {
+    const expiresAt = new Date(Date.now() + settings.failureWindow * 1000);
+    const {failures} = await settings.store.increment(key, expiresAt);
+    if(failures >= threshold) {
+      const lockout = Math.min(settings.lockout * Math.pow(2, failures - threshold), settings.maxLockout);
+      await settings.store.lock(key, new Date(Date.now() + lockout * 1000));
+    }
+  };
+
+  return {
+    settings: settings,
+
+    /* Seconds until a login for this email from this IP may be attempted, 0 if allowed now. */
+    retryAfter: async (email, ip) => {
+      const [accountLocked, ipLocked] = await Promise.all([
+        secondsLocked(accountKey(email)),
+        secondsLocked(ipKey(ip))
+      ]);
+      return Math.max(accountLocked, ipLocked);
+    },
+
+    recordFailure: async (email, ip) => {
+      await fail(accountKey(email), settings.maxAccountFailures);
+      await fail(ipKey(ip), settings.maxIpFailures);
+    },
+
+    /* A successful login clears the account counter. The IP counter keeps
+     * running, so one valid account can't be used to reset it. */
+    recordSuccess: async (email) => {
+      await settings.store.reset(accountKey(email));
+    },
+
+    unlockAccount: async (email) => {
+      await settings.store.reset(accountKey(email));
+    }
+  };
+};
+
+/* The throttle used by /login; LOGIN_THROTTLE_STORE=mongo shares counters between instances. */
+const loginThrottle = createLoginThrottle({
+  store: process.env.LOGIN_THROTTLE_STORE === "mongo" ? createMongoStore() : createMemoryStore()
+});
+
+module.exports = {
+  createMemoryStore: createMemoryStore,
+  createMongoStore: createMongoStore,
+  createLoginThrottle: createLoginThrottle,
+  loginThrottle: loginThrottle
+};
@@ -0,0 +1,41 @@
+/* Outgoing mail.
+ * A transport is any object with a send({from, to, subject, text}) method
+ * returning a promise. The default one writes each message as a JSON file
+ * to a local outbox directory, so mail works offline and in tests. */
+require('dotenv').config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const createOutboxTransport = (directory) => {
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+      const content = { ...message, date: new Date().toISOString() };
+      await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(content, null, 2));
+    }
+  };
+};
+
+let transport = createOutboxTransport(
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox")
+);
+
+/* Replace the transport, e.g. with an SMTP-backed one. */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async (message) => {
+  return transport.send({
+    from: process.env.MAIL_FROM || "no-reply@foodshop.local",
+    ...message
+  });
+};
+
+module.exports = {
+  createOutboxTransport: createOutboxTransport,
+  setTransport: setTransport,
+  sendMail: sendMail
+};
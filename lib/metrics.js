@@ -0,0 +1,109 @@
+/* Prometheus metrics.
+ * HTTP requests are counted and timed per route template (e.g.
+ * "/order/:orderID", never the concrete IDs), Mongo operations per model and
+ * operation. Everything is exposed in text format through GET /metrics. */
+const mongoose = require("mongoose");
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by method, route template and status code.",
+  labelNames: ["method", "route", "status"],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency, by method, route template and status code.",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: "db_query_duration_seconds",
+  help: "MongoDB operation latency, by model and operation.",
+  labelNames: ["model", "operation"],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [registry]
+});
+
+const ordersCreatedTotal = new client.Counter({
+  name: "orders_created_total",
+  help: "Orders placed through POST /order.",
+  registers: [registry]
+});
+
+const ordersRejectedTotal = new client.Counter({
+  name: "orders_rejected_total",
+  help: "Orders refused by POST /order, by reason.",
+  labelNames: ["reason"],
+  registers: [registry]
+});
+
+const elapsedSeconds = (startTime) => Number(process.hrtime.bigint() - startTime) / 1e9;
+
+/* Express middleware recording the count and latency of every request.
+ * Requests no route matched share the "unmatched" label, so that random
+ * URLs can't blow up the number of series. */
+const metricsMiddleware = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : "unmatched",
+      status: res.statusCode
+    };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, elapsedSeconds(startTime));
+  });
+  next();
+};
+
+const QUERY_OPERATIONS = [
+  "count", "countDocuments", "estimatedDocumentCount", "distinct",
+  "find", "findOne", "findOneAndDelete", "findOneAndRemove",
+  "findOneAndReplace", "findOneAndUpdate", "replaceOne",
+  "updateOne", "updateMany", "deleteOne", "deleteMany"
+];
+
+/* Mongoose plugin timing queries, aggregations and saves. */
+const queryMetricsPlugin = (schema) => {
+  const start = function() {
+    this._metricsStartTime = process.hrtime.bigint();
+  };
+  const observe = (model, operation, startTime) => {
+    if(startTime) {
+      dbQueryDuration.observe({ model: model, operation: operation }, elapsedSeconds(startTime));
+    }
+  };
+
+  schema.pre(QUERY_OPERATIONS, start);
+  schema.post(QUERY_OPERATIONS, function() {
+    observe(this.model.modelName, this.op, this._metricsStartTime);
+  });
+
+  schema.pre("aggregate", start);
+  schema.post("aggregate", function() {
+    observe(this._model.modelName, "aggregate", this._metricsStartTime);
+  });
+
+  schema.pre("save", start);
+  schema.post("save", function() {
+    observe(this.constructor.modelName, "save", this._metricsStartTime);
+  });
+};
+
+// Applies to every model compiled from now on.
+mongoose.plugin(queryMetricsPlugin);
+
+module.exports = {
+  registry: registry,
+  metricsMiddleware: metricsMiddleware,
+  ordersCreatedTotal: ordersCreatedTotal,
+  ordersRejectedTotal: ordersRejectedTotal
+};
@@ -0,0 +1,1050 @@
+/* OpenAPI 3 description of the API, served at GET /openapi.json and
+ * rendered at GET /docs. Request schemas mirror the rules of
+ * lib/validation.js, response schemas the shapes of lib/serializers.js.
+ * Keep it in step with the endpoint modules: with OPENAPI_VALIDATION=strict
+ * (the test setup default) any disagreement fails the request. */
+const {version} = require("../package.json");
+
+const {USER_ROLES} = require("../models/user");
+const {ORDER_STATUSES} = require("../models/order");
+const {USER_DELETION_POLICIES} = require("./userDeletion");
+const {EXPORT_FORMATS} = require("./dataExport");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const nonEmptyString = { type: "string", minLength: 1 };
+
+/* A JSON request body. */
+const jsonBody = (schema) => ({
+  required: true,
+  content: { "application/json": { schema: schema } }
+});
+
+/* A JSON response, or an error response when no schema is given. */
+const response = (description, schema = ref("Error")) => ({
+  description: description,
+  content: { "application/json": { schema: schema } }
+});
+
+const message = response("Done.", ref("Message"));
+
+/* Responses of an operation. Errors not listed explicitly share the error schema. */
+const responses = (listed) => ({
+  ...listed,
+  default: response("Error.")
+});
+
+const pathParameter = (name, description) => ({
+  name: name,
+  in: "path",
+  required: true,
+  description: description,
+  schema: { type: "string" }
+});
+
+const queryParameter = (name, description, schema = { type: "string" }) => ({
+  name: name,
+  in: "query",
+  required: false,
+  description: description,
+  schema: schema
+});
+
+const listParameters = (sortableFields) => [
+  queryParameter("page", "Page number, from 1.", { type: "integer", minimum: 1, default: 1 }),
+  queryParameter("limit", "Results per page.", { type: "integer", minimum: 1, maximum: 100, default: 20 }),
+  queryParameter("sort", `Comma-separated fields, "-" prefixed for descending order. One of: ${sortableFields.join(", ")}.`)
+];
+
+const orderListParameters = [
+  ...listParameters(["_id", "createdAt", "total", "status", "type"]),
+  queryParameter("type", "Product name the order contains."),
+  queryParameter("status", "Order status.", { type: "string", enum: ORDER_STATUSES }),
+  queryParameter("from", "Orders created at or after this date.", { type: "string", format: "date-time" }),
+  queryParameter("to", "Orders created at or before this date.", { type: "string", format: "date-time" })
+];
+
+const authenticated = [{ bearerAuth: [] }];
+
+const exportParameters = [
+  queryParameter("format", "json, or zip for a zip of CSV files.", { type: "string", enum: EXPORT_FORMATS, default: "json" })
+];
+
+const exportResponse = {
+  description: "The export.",
+  content: {
+    "application/json": { schema: ref("UserExport") },
+    "application/zip": { schema: { type: "string", format: "binary" } }
+  }
+};
+
+const orderItems = {
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    required: ["product", "quantity"],
+    additionalProperties: false,
+    properties: {
+      product: { ...nonEmptyString, description: "Product name or ID." },
+      quantity: { type: "integer", minimum: 1 }
+    }
+  }
+};
+
+const productFields = {
+  name: nonEmptyString,
+  description: { type: "string" },
+  price: { type: "number", minimum: 0 },
+  contents: { type: "array", items: nonEmptyString },
+  active: { type: "boolean" },
+  stock: { type: "integer", minimum: 0, nullable: true },
+  lowStockThreshold: { type: "integer", minimum: 0 }
+};
+
+const spec = {
+  openapi: "3.0.3",
+  info: {
+    title: "Sample Orders API",
+    version: version,
+    description: "Users, product catalog and orders. Failed requests answer with the Error schema."
+  },
+  tags: [
+    { name: "Authentication" },
+    { name: "Users" },
+    { name: "Orders" },
+    { name: "Products" },
+    { name: "Audit" },
+    { name: "Operations" }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" }
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+              code: { type: "string", example: "NOT_FOUND" },
+              message: { type: "string" },
+              details: { description: "Validation errors, offending fields..." }
+            }
+          }
+        }
+      },
+      Message: {
+        type: "object",
+        required: ["message"],
+        properties: { message: { type: "string" } }
+      },
+      Pagination: {
+        type: "object",
+        required: ["page", "limit", "total", "totalPages"],
+        properties: {
+          page: { type: "integer" },
+          limit: { type: "integer" },
+          total: { type: "integer" },
+          totalPages: { type: "integer" }
+        }
+      },
+      Tokens: {
+        type: "object",
+        required: ["accessToken", "refreshToken", "expiresIn"],
+        properties: {
+          accessToken: { type: "string" },
+          refreshToken: { type: "string" },
+          expiresIn: { type: "integer", description: "Access token lifetime in seconds." }
+        }
+      },
+      User: {
+        type: "object",
+        required: ["_id", "name", "email", "role", "emailVerified"],
+        properties: {
+          _id: objectId,
+          name: { type: "string" },
+          email: { type: "string" },
+          address: { type: "string" },
+          role: { type: "string", enum: USER_ROLES },
+          emailVerified: { type: "boolean" },
+          emailVerifiedAt: { type: "string", nullable: true, description: "Admin viewers only." },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" }
+        }
+      },
+      UserDeletion: {
+        allOf: [
+          ref("User"),
+          {
+            type: "object",
+            required: ["orders"],
+            properties: {
+              orders: {
+                type: "object",
+                required: ["policy", "affected"],
+                properties: {
+                  policy: { type: "string", enum: USER_DELETION_POLICIES },
+                  affected: { type: "integer", description: "Orders deleted, anonymized or reassigned." },
+                  reassignTo: objectId
+                }
+              }
+            }
+          }
+        ]
+      },
+      UserRestore: {
+        allOf: [
+          ref("User"),
+          {
+            type: "object",
+            required: ["orders"],
+            properties: {
+              orders: {
+                type: "object",
+                required: ["restored"],
+                properties: {
+                  restored: { type: "integer", description: "Orders deleted with the user (cascade) and restored with them." }
+                }
+              }
+            }
+          }
+        ]
+      },
+      UserExport: {
+        type: "object",
+        required: ["exportedAt", "profile", "orders", "auditEvents", "sessions"],
+        properties: {
+          exportedAt: { type: "string", format: "date-time" },
+          profile: ref("User"),
+          orders: {
+            type: "array",
+            description: "Deleted orders included, with their deletedAt.",
+            items: ref("Order")
+          },
+          auditEvents: {
+            type: "array",
+            description: "Events the user did or was the target of. Other actors are not disclosed.",
+            items: ref("AuditEvent")
+          },
+          sessions: {
+            type: "array",
+            description: "Logins whose refresh tokens have not expired yet.",
+            items: {
+              type: "object",
+              properties: {
+                startedAt: { type: "string", format: "date-time" },
+                lastRefreshedAt: { type: "string", format: "date-time" },
+                expiresAt: { type: "string", format: "date-time" },
+                revokedAt: { type: "string", format: "date-time", nullable: true }
+              }
+            }
+          }
+        }
+      },
+      UserList: {
+        type: "object",
+        required: ["data", "pagination"],
+        properties: {
+          data: { type: "array", items: ref("User") },
+          pagination: ref("Pagination")
+        }
+      },
+      OrderItem: {
+        type: "object",
+        required: ["product", "name", "quantity", "unitPrice", "subtotal"],
+        properties: {
+          product: objectId,
+          name: { type: "string" },
+          quantity: { type: "integer" },
+          unitPrice: { type: "number" },
+          subtotal: { type: "number" }
+        }
+      },
+      Order: {
+        type: "object",
+        required: ["_id", "items", "total", "status", "user"],
+        properties: {
+          _id: objectId,
+          type: { type: "string", description: "Legacy single-box orders only." },
+          description: { type: "string" },
+          items: { type: "array", items: ref("OrderItem") },
+          total: { type: "number" },
+          status: { type: "string", enum: ORDER_STATUSES },
+          createdAt: { type: "string", format: "date-time" },
+          updatedAt: { type: "string", format: "date-time" },
+          user: { ...objectId, nullable: true, description: "null once its user was deleted with the anonymize policy." },
+          courier: { ...objectId, description: "Courier delivering the order, once assigned." },
+          reservedStock: {
+            type: "array",
+            description: "Admin and Staff viewers only.",
+            items: {
+              type: "object",
+              properties: { product: objectId, quantity: { type: "integer" } }
+            }
+          }
+        }
+      },
+      OrderList: {
+        type: "object",
+        required: ["data", "pagination"],
+        properties: {
+          data: { type: "array", items: ref("Order") },
+          pagination: ref("Pagination")
+        }
+      },
+      Product: {
+        type: "object",
+        required: ["_id", "name", "price"],
+        properties: { _id: objectId, ...productFields }
+      },
+      AuditEvent: {
+        type: "object",
+        required: ["_id", "action", "createdAt"],
+        properties: {
+          _id: objectId,
+          actor: { ...objectId, nullable: true, description: "Unset for anonymous actions, such as failed logins." },
+          actorRole: { type: "string", nullable: true },
+          action: { type: "string", description: "\"<subject>.<verb>\", e.g. \"user.delete\" or \"auth.login_failed\"." },
+          targetType: { type: "string", nullable: true, description: "user, order or product." },
+          targetId: { type: "string", nullable: true },
+          changes: {
+            type: "object",
+            nullable: true,
+            description: "Changed fields, as { field: { before, after } }.",
+            additionalProperties: {
+              type: "object",
+              properties: { before: {}, after: {} }
+            }
+          },
+          details: { type: "object", nullable: true },
+          ip: { type: "string", nullable: true },
+          createdAt: { type: "string", format: "date-time" }
+        }
+      },
+      AuditEventList: {
+        type: "object",
+        required: ["data", "pagination"],
+        properties: {
+          data: { type: "array", items: ref("AuditEvent") },
+          pagination: ref("Pagination")
+        }
+      },
+      Health: {
+        type: "object",
+        required: ["status", "uptime", "version"],
+        properties: {
+          status: { type: "string", enum: ["ok", "ready", "not ready"] },
+          uptime: { type: "number", description: "Seconds since the process started." },
+          version: { type: "string" },
+          database: {
+            type: "object",
+            properties: {
+              state: { type: "string" },
+              latencyMs: { type: "number" },
+              error: { type: "string" }
+            }
+          }
+        }
+      }
+    }
+  },
+  paths: {
+    "/register": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Register a new user, with the User role. A verification token is mailed to them.",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["name", "email", "password", "address"],
+          additionalProperties: false,
+          properties: {
+            name: nonEmptyString,
+            email: { type: "string", format: "email" },
+            password: nonEmptyString,
+            address: nonEmptyString
+          }
+        }),
+        responses: responses({
+          201: response("User created.", ref("User")),
+          409: response("Email already registered."),
+          422: response("Invalid fields.")
+        })
+      }
+    },
+    "/login": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Log in, receiving an access and a refresh token.",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["email", "password"],
+          additionalProperties: false,
+          properties: { email: nonEmptyString, password: nonEmptyString }
+        }),
+        responses: responses({
+          200: response("Logged in.", {
+            allOf: [ref("Tokens"), {
+              type: "object",
+              required: ["user", "message"],
+              properties: {
+                message: { type: "string" },
+                user: {
+                  type: "object",
+                  required: ["id", "email", "role", "name"],
+                  properties: {
+                    id: objectId,
+                    email: { type: "string" },
+                    role: { type: "string" },
+                    name: { type: "string" }
+                  }
+                }
+              }
+            }]
+          }),
+          401: response("Wrong password."),
+          404: response("Unknown email."),
+          429: response("Too many failed attempts, see the Retry-After header.")
+        })
+      }
+    },
+    "/token/refresh": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Exchange a refresh token for a new token pair. The refresh token is used up.",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["refreshToken"],
+          additionalProperties: false,
+          properties: { refreshToken: nonEmptyString }
+        }),
+        responses: responses({
+          200: response("New tokens.", ref("Tokens")),
+          401: response("Unknown, expired or reused refresh token.")
+        })
+      }
+    },
+    "/logout": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Revoke the tokens of the current session.",
+        security: authenticated,
+        responses: responses({ 200: message })
+      }
+    },
+    "/logout-all": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Revoke the tokens of every session of the user.",
+        security: authenticated,
+        responses: responses({
+          200: response("Logged out.", {
+            allOf: [ref("Message"), {
+              type: "object",
+              properties: { revoked: { type: "integer" } }
+            }]
+          })
+        })
+      }
+    },
+    "/verify-email": {
+      get: {
+        tags: ["Authentication"],
+        summary: "Confirm an email with the mailed verification token.",
+        parameters: [{ ...queryParameter("token", "Verification token."), required: true }],
+        responses: responses({
+          200: message,
+          400: response("Invalid or expired token.")
+        })
+      }
+    },
+    "/verify-email/resend": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Mail a new verification token.",
+        security: authenticated,
+        responses: responses({
+          200: message,
+          409: response("Email already verified.")
+        })
+      }
+    },
+    "/password/forgot": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Mail a password reset token. Answers the same whether the email is registered or not.",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["email"],
+          additionalProperties: false,
+          properties: { email: { type: "string", format: "email" } }
+        }),
+        responses: responses({ 200: message })
+      }
+    },
+    "/password/reset": {
+      post: {
+        tags: ["Authentication"],
+        summary: "Set a new password with a reset token. Logs out every session.",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["token", "password"],
+          additionalProperties: false,
+          properties: { token: nonEmptyString, password: nonEmptyString }
+        }),
+        responses: responses({
+          200: message,
+          400: response("Invalid or expired token.")
+        })
+      }
+    },
+    "/users": {
+      get: {
+        tags: ["Users"],
+        summary: "List users (admin).",
+        security: authenticated,
+        parameters: [
+          ...listParameters(["_id", "createdAt", "name", "email", "role"]),
+          queryParameter("role", "Exact role."),
+          queryParameter("email", "Case-insensitive email substring.")
+        ],
+        responses: responses({
+          200: response("A page of users.", ref("UserList")),
+          403: response("Not an admin.")
+        })
+      }
+    },
+    "/user/{userID}": {
+      parameters: [pathParameter("userID", "User ID.")],
+      get: {
+        tags: ["Users"],
+        summary: "Get any user (admin).",
+        security: authenticated,
+        responses: responses({
+          200: response("The user.", ref("User")),
+          404: response("No such user.")
+        })
+      },
+      delete: {
+        tags: ["Users"],
+        summary: "Delete a user (admin), restorable until purged. Admins can not be deleted.",
+        security: authenticated,
+        parameters: [
+          queryParameter("policy", "What happens to the user's orders. Defaults to USER_DELETION_POLICY (cascade).",
+            { type: "string", enum: USER_DELETION_POLICIES }),
+          queryParameter("reassignTo", "User receiving the orders, for the reassign policy. Defaults to USER_DELETION_REASSIGN_TO.", objectId)
+        ],
+        responses: responses({
+          200: response("The deleted user, and what happened to their orders.", ref("UserDeletion")),
+          400: response("Unknown policy, or no user to reassign the orders to."),
+          404: response("No such user.")
+        })
+      }
+    },
+    "/user/{userID}/role": {
+      parameters: [pathParameter("userID", "User ID.")],
+      put: {
+        tags: ["Users"],
+        summary: "Change the role of a user (admin). Admins can not change their own role.",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["role"],
+          additionalProperties: false,
+          properties: { role: { type: "string", enum: USER_ROLES } }
+        }),
+        responses: responses({
+          200: response("The updated user.", ref("User")),
+          404: response("No such user.")
+        })
+      }
+    },
+    "/user/{userID}/export": {
+      parameters: [pathParameter("userID", "User ID.")],
+      get: {
+        tags: ["Users"],
+        summary: "Export everything stored about a user, on their behalf (admin). Deleted users can be exported until purged.",
+        security: authenticated,
+        parameters: exportParameters,
+        responses: responses({
+          200: exportResponse,
+          404: response("No such user.")
+        })
+      }
+    },
+    "/user/{userID}/restore": {
+      parameters: [pathParameter("userID", "User ID.")],
+      post: {
+        tags: ["Users"],
+        summary: "Restore a deleted user (admin), with the orders deleted along with them. Their sessions stay revoked.",
+        security: authenticated,
+        responses: responses({
+          200: response("The restored user, and how many of their orders were restored.", ref("UserRestore")),
+          404: response("No such deleted user."),
+          409: response("A restored order is out of stock.")
+        })
+      }
+    },
+    "/user/{userID}/unlock": {
+      parameters: [pathParameter("userID", "User ID.")],
+      post: {
+        tags: ["Users"],
+        summary: "Lift the failed-login lockout of an account (admin).",
+        security: authenticated,
+        responses: responses({
+          200: message,
+          404: response("No such user.")
+        })
+      }
+    },
+    "/user/{userID}/verify": {
+      parameters: [pathParameter("userID", "User ID.")],
+      post: {
+        tags: ["Users"],
+        summary: "Mark the email of a user as verified (admin).",
+        security: authenticated,
+        responses: responses({
+          200: response("The user.", ref("User")),
+          404: response("No such user.")
+        })
+      }
+    },
+    "/me": {
+      get: {
+        tags: ["Users"],
+        summary: "Get the logged in user.",
+        security: authenticated,
+        responses: responses({ 200: response("The user.", ref("User")) })
+      },
+      put: {
+        tags: ["Users"],
+        summary: "Update the logged in user. A new email has to be verified again.",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            name: nonEmptyString,
+            email: { type: "string", format: "email" },
+            address: nonEmptyString
+          }
+        }),
+        responses: responses({
+          201: response("The updated user.", ref("User")),
+          409: response("Email already registered.")
+        })
+      },
+      delete: {
+        tags: ["Users"],
+        summary: "Delete the logged in user, restorable by an admin until purged. Every session is logged out.",
+        security: authenticated,
+        parameters: [
+          queryParameter("policy", "What happens to the user's orders. Defaults to USER_DELETION_POLICY, or cascade when that is reassign.",
+            { type: "string", enum: ["cascade", "anonymize"] })
+        ],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["password"],
+          additionalProperties: false,
+          properties: { password: { ...nonEmptyString, description: "Confirms the deletion." } }
+        }),
+        responses: responses({
+          200: response("The deleted user, and what happened to their orders.", ref("UserDeletion")),
+          401: response("Wrong password."),
+          409: response("The last admin can not delete their account.")
+        })
+      }
+    },
+    "/me/export": {
+      get: {
+        tags: ["Users"],
+        summary: "Export everything stored about the logged in user.",
+        security: authenticated,
+        parameters: exportParameters,
+        responses: responses({ 200: exportResponse })
+      }
+    },
+    "/me/password": {
+      post: {
+        tags: ["Users"],
+        summary: "Change the password of the logged in user. Other sessions are logged out.",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["currentPassword", "newPassword"],
+          additionalProperties: false,
+          properties: { currentPassword: nonEmptyString, newPassword: nonEmptyString }
+        }),
+        responses: responses({
+          200: message,
+          401: response("Wrong current password.")
+        })
+      }
+    },
+    "/orders/user/{userID}": {
+      get: {
+        tags: ["Orders"],
+        summary: "List the orders of any user (admin, staff).",
+        security: authenticated,
+        parameters: [pathParameter("userID", "User ID."), ...orderListParameters],
+        responses: responses({ 200: response("A page of orders.", ref("OrderList")) })
+      }
+    },
+    "/orders/all": {
+      get: {
+        tags: ["Orders"],
+        summary: "List the orders of the logged in user.",
+        security: authenticated,
+        parameters: orderListParameters,
+        responses: responses({ 200: response("A page of orders.", ref("OrderList")) })
+      }
+    },
+    "/orders/export": {
+      get: {
+        tags: ["Orders"],
+        summary: "Stream every order, with its user's name and email (admin).",
+        security: authenticated,
+        parameters: [
+          queryParameter("format", "csv, or ndjson for one JSON order per line.", { type: "string", enum: ["csv", "ndjson"], default: "csv" }),
+          queryParameter("user", "User ID the orders belong to.", objectId),
+          queryParameter("type", "Product name the order contains."),
+          queryParameter("status", "Order status.", { type: "string", enum: ORDER_STATUSES }),
+          queryParameter("from", "Orders created at or after this date.", { type: "string", format: "date-time" }),
+          queryParameter("to", "Orders created at or before this date.", { type: "string", format: "date-time" })
+        ],
+        responses: responses({
+          200: {
+            description: "The orders, oldest first.",
+            content: {
+              "text/csv": { schema: { type: "string" } },
+              "application/x-ndjson": { schema: { type: "string" } }
+            }
+          }
+        })
+      }
+    },
+    "/orders/deliveries": {
+      get: {
+        tags: ["Orders"],
+        summary: "List the orders assigned to the logged in courier.",
+        security: authenticated,
+        parameters: orderListParameters,
+        responses: responses({ 200: response("A page of orders.", ref("OrderList")) })
+      }
+    },
+    "/order": {
+      post: {
+        tags: ["Orders"],
+        summary: "Place an order, either of items or of a single box (legacy type).",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            type: { type: "string", description: "Product name, for a single box." },
+            description: { type: "string" },
+            items: orderItems
+          }
+        }),
+        responses: responses({
+          201: response("The order.", ref("Order")),
+          400: response("Unknown product or invalid quantity."),
+          403: response("Email not verified."),
+          409: response("Out of stock.")
+        })
+      },
+      put: {
+        tags: ["Orders"],
+        summary: "Update an order. Items can only change while it is placed; only admins can reassign it.",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["_id"],
+          additionalProperties: false,
+          properties: {
+            _id: objectId,
+            type: { type: "string" },
+            description: { type: "string" },
+            user: objectId,
+            items: orderItems
+          }
+        }),
+        responses: responses({
+          201: response("The updated order.", ref("Order")),
+          404: response("No such order."),
+          409: response("Order no longer placed, changed concurrently, or out of stock.")
+        })
+      }
+    },
+    "/order/{orderID}": {
+      parameters: [pathParameter("orderID", "Order ID.")],
+      get: {
+        tags: ["Orders"],
+        summary: "Get an order.",
+        security: authenticated,
+        responses: responses({
+          200: response("The order.", ref("Order")),
+          404: response("No such order.")
+        })
+      },
+      delete: {
+        tags: ["Orders"],
+        summary: "Delete an order, releasing its stock. Restorable until purged.",
+        security: authenticated,
+        responses: responses({
+          200: response("The deleted order.", ref("Order")),
+          404: response("No such order.")
+        })
+      }
+    },
+    "/order/{orderID}/status": {
+      parameters: [pathParameter("orderID", "Order ID.")],
+      post: {
+        tags: ["Orders"],
+        summary: "Move an order to another status. Owners can only cancel, couriers only deliver their orders.",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["status"],
+          additionalProperties: false,
+          properties: { status: { type: "string", enum: ORDER_STATUSES } }
+        }),
+        responses: responses({
+          200: response("The updated order.", ref("Order")),
+          404: response("No such order."),
+          409: response("Transition not allowed from the current status.")
+        })
+      }
+    },
+    "/order/{orderID}/restore": {
+      parameters: [pathParameter("orderID", "Order ID.")],
+      post: {
+        tags: ["Orders"],
+        summary: "Restore a deleted order (admin). Placed and confirmed orders take their stock again.",
+        security: authenticated,
+        responses: responses({
+          200: response("The restored order.", ref("Order")),
+          404: response("No such deleted order."),
+          409: response("Out of stock.")
+        })
+      }
+    },
+    "/order/{orderID}/courier": {
+      parameters: [pathParameter("orderID", "Order ID.")],
+      post: {
+        tags: ["Orders"],
+        summary: "Assign an order to a courier, or unassign it with null (admin, staff).",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["courier"],
+          additionalProperties: false,
+          properties: { courier: { ...objectId, nullable: true } }
+        }),
+        responses: responses({
+          200: response("The updated order.", ref("Order")),
+          400: response("Not a courier."),
+          404: response("No such order.")
+        })
+      }
+    },
+    "/products": {
+      get: {
+        tags: ["Products"],
+        summary: "List orderable products.",
+        responses: responses({ 200: response("Active products.", { type: "array", items: ref("Product") }) })
+      }
+    },
+    "/products/all": {
+      get: {
+        tags: ["Products"],
+        summary: "List every product, inactive ones included (admin, staff).",
+        security: authenticated,
+        responses: responses({ 200: response("All products.", { type: "array", items: ref("Product") }) })
+      }
+    },
+    "/products/low-stock": {
+      get: {
+        tags: ["Products"],
+        summary: "List tracked products at or below their low-stock threshold (admin, staff).",
+        security: authenticated,
+        responses: responses({ 200: response("Products low on stock.", { type: "array", items: ref("Product") }) })
+      }
+    },
+    "/product": {
+      post: {
+        tags: ["Products"],
+        summary: "Add a product (admin).",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["name", "price"],
+          additionalProperties: false,
+          properties: productFields
+        }),
+        responses: responses({
+          201: response("The product.", ref("Product")),
+          409: response("Name already taken.")
+        })
+      },
+      put: {
+        tags: ["Products"],
+        summary: "Update a product (admin).",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["_id"],
+          additionalProperties: false,
+          properties: { _id: objectId, ...productFields }
+        }),
+        responses: responses({
+          201: response("The updated product.", ref("Product")),
+          404: response("No such product.")
+        })
+      }
+    },
+    "/product/{productID}": {
+      parameters: [pathParameter("productID", "Product ID.")],
+      get: {
+        tags: ["Products"],
+        summary: "Get a product.",
+        responses: responses({
+          200: response("The product.", ref("Product")),
+          404: response("No such product.")
+        })
+      },
+      delete: {
+        tags: ["Products"],
+        summary: "Delete a product (admin). Deactivating is preferred for products ever ordered.",
+        security: authenticated,
+        responses: responses({
+          200: response("The deleted product.", ref("Product")),
+          404: response("No such product.")
+        })
+      }
+    },
+    "/product/{productID}/restock": {
+      parameters: [pathParameter("productID", "Product ID.")],
+      post: {
+        tags: ["Products"],
+        summary: "Add units to the stock of a product (admin).",
+        security: authenticated,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["quantity"],
+          additionalProperties: false,
+          properties: { quantity: { type: "integer", minimum: 1 } }
+        }),
+        responses: responses({
+          200: response("The product.", ref("Product")),
+          404: response("No such product.")
+        })
+      }
+    },
+    "/purge": {
+      post: {
+        tags: ["Operations"],
+        summary: "Permanently remove users and orders deleted longer ago than the retention period (admin).",
+        security: authenticated,
+        requestBody: {
+          required: false,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                  retentionDays: {
+                    type: "integer",
+                    minimum: 0,
+                    description: "Defaults to SOFT_DELETE_RETENTION_DAYS (30)."
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: responses({
+          200: response("What was removed.", {
+            type: "object",
+            required: ["deletedBefore", "users", "orders"],
+            properties: {
+              deletedBefore: { type: "string", format: "date-time" },
+              users: { type: "integer" },
+              orders: { type: "integer" }
+            }
+          })
+        })
+      }
+    },
+    "/audit": {
+      get: {
+        tags: ["Audit"],
+        summary: "List audit events of privileged and security-relevant actions (admin).",
+        security: authenticated,
+        parameters: [
+          ...listParameters(["_id", "createdAt", "action"]),
+          queryParameter("actor", "User ID of the actor.", objectId),
+          queryParameter("action", "Action, e.g. user.delete."),
+          queryParameter("targetType", "Type of the target.", { type: "string", enum: ["user", "order", "product"] }),
+          queryParameter("targetId", "ID of the target."),
+          queryParameter("from", "Events at or after this date.", { type: "string", format: "date-time" }),
+          queryParameter("to", "Events at or before this date.", { type: "string", format: "date-time" })
+        ],
+        responses: responses({ 200: response("A page of audit events, newest first by default.", ref("AuditEventList")) })
+      }
+    },
+    "/": {
+      get: {
+        tags: ["Operations"],
+        summary: "Legacy status check.",
+        responses: responses({ 200: message })
+      }
+    },
+    "/health/live": {
+      get: {
+        tags: ["Operations"],
+        summary: "Liveness: the process is up.",
+        responses: responses({ 200: response("Alive.", ref("Health")) })
+      }
+    },
+    "/health/ready": {
+      get: {
+        tags: ["Operations"],
+        summary: "Readiness: the database answers.",
+        responses: responses({
+          200: response("Ready.", ref("Health")),
+          503: response("Not ready.", ref("Health"))
+        })
+      }
+    },
+    "/metrics": {
+      get: {
+        tags: ["Operations"],
+        summary: "Prometheus metrics. Requires METRICS_TOKEN as bearer token when configured.",
+        responses: responses({
+          200: {
+            description: "Metrics in Prometheus text format.",
+            content: { "text/plain": { schema: { type: "string" } } }
+          }
+        })
+      }
+    },
+    "/openapi.json": {
+      get: {
+        tags: ["Operations"],
+        summary: "This document.",
+        responses: responses({ 200: response("OpenAPI document.", { type: "object" }) })
+      }
+    }
+  }
+};
+
+module.exports = {
+  spec: spec
+};
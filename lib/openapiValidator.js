@@ -0,0 +1,115 @@
+/* Runtime check of the traffic against the OpenAPI document (lib/openapi.js).
+ * OPENAPI_VALIDATION selects the mode:
+ * - "off" (default): nothing is checked.
+ * - "warn": disagreements are logged.
+ * - "strict": disagreements are logged and the response is replaced by a
+ *   500 OPENAPI_VIOLATION error, so that tests catch them.
+ * A disagreement is a JSON response from an undocumented route, a response
+ * body not matching the schema documented for its status, or a request body
+ * the spec forbids that the app nevertheless accepted (2xx/3xx). Requests are
+ * never refused on the spec's behalf: that stays lib/validation.js's job. */
+const Ajv = require("ajv");
+
+const {spec} = require("./openapi");
+
+const ajv = new Ajv({ strict: false, allErrors: true, validateFormats: false });
+
+const compiled = new Map();
+
+/* Compile a schema of the document, cached. Refs to #/components resolve
+ * against the document's components. */
+const validatorFor = (schema) => {
+  if(!compiled.has(schema)) {
+    compiled.set(schema, ajv.compile({ ...schema, components: spec.components }));
+  }
+  return compiled.get(schema);
+};
+
+const describeErrors = (errors) => errors.map(error => `${error.instancePath || "(body)"} ${error.message}`);
+
+/* The documented operation an Express route answers, if any. */
+const findOperation = (req) => {
+  if(!req.route) {
+    return null;
+  }
+  // "/order/:orderID" is documented as "/order/{orderID}".
+  const path = (req.baseUrl + req.route.path).replace(/:(\w+)/g, "{$1}");
+  const pathItem = spec.paths[path];
+  return pathItem ? pathItem[req.method.toLowerCase()] || null : null;
+};
+
+/* Problems of a JSON response to req, as a list of messages. */
+const responseViolations = (req, status, body) => {
+  const operation = findOperation(req);
+  if(!operation) {
+    return [`${req.method} ${req.route.path} is not documented.`];
+  }
+
+  let violations = [];
+  const documented = operation.responses[status] || operation.responses.default;
+  const content = documented.content && documented.content["application/json"];
+  if(!content) {
+    violations.push(`No JSON response is documented for status ${status}.`);
+  } else {
+    const validate = validatorFor(content.schema);
+    if(!validate(JSON.parse(JSON.stringify(body)))) {
+      violations = violations.concat(describeErrors(validate.errors).map(error => `Response ${error}`));
+    }
+  }
+
+  // The request body as received, before express-validator sanitized it.
+  const requestSchema = operation.requestBody && operation.requestBody.content["application/json"].schema;
+  if(requestSchema && status < 400) {
+    const validate = validatorFor(requestSchema);
+    if(!validate(req.openapiRequestBody)) {
+      violations = violations.concat(describeErrors(validate.errors).map(error => `Accepted request ${error}`));
+    }
+  }
+  return violations;
+};
+
+/* Express middleware, registered before the routes. */
+const openapiValidator = (req, res, next) => {
+  const mode = process.env.OPENAPI_VALIDATION || "off";
+  if(mode === "off") {
+    return next();
+  }
+
+  req.openapiRequestBody = JSON.parse(JSON.stringify(req.body === undefined ? {} : req.body));
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // Requests no route matched (404s) have nothing to check against.
+    if(!req.route || res.openapiChecked) {
+      return json(body);
+    }
+    res.openapiChecked = true;
+
+    const violations = responseViolations(req, res.statusCode, body);
+    if(violations.length === 0) {
+      return json(body);
+    }
+
+    req.log.error("Response does not match the OpenAPI document", {
+      method: req.method,
+      route: req.route.path,
+      status: res.statusCode,
+      violations: violations
+    });
+    if(mode !== "strict") {
+      return json(body);
+    }
+    return res.status(500).json({
+      "error": {
+        "code": "OPENAPI_VIOLATION",
+        "message": "Response does not match the OpenAPI document.",
+        "details": violations
+      }
+    });
+  };
+  next();
+};
+
+module.exports = {
+  openapiValidator: openapiValidator
+};
@@ -0,0 +1,100 @@
+/* List endpoints helpers: page/limit pagination, sorting, date ranges and the response envelope. */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/* Parse page, limit and sort from a query string.
+ * sort is a comma-separated list of fields, "-" prefixed for descending
+ * order (e.g. "sort=-total,status"); only sortableFields are accepted.
+ * Resolves to {page, limit, skip, sort}, or to {error} on bad input. */
+const parseListQuery = (query, sortableFields) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if(!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer." };
+  }
+  if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+  }
+
+  const sort = {};
+  const sortFields = query.sort ? String(query.sort).split(",") : ["-_id"];
+  for(const sortField of sortFields) {
+    const descending = sortField.startsWith("-");
+    const field = descending ? sortField.slice(1) : sortField;
+    if(!sortableFields.includes(field)) {
+      return { error: `Can not sort by ${field}.` };
+    }
+    sort[field] = descending ? -1 : 1;
+  }
+  // Stable ordering across pages when the sort fields tie.
+  if(!("_id" in sort)) {
+    sort._id = 1;
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort };
+};
+
+/* Run a paginated find and wrap the results in the list envelope.
+ * serialize(document) shapes each result (see lib/serializers.js). */
+const paginate = async (Model, filter, {page, limit, skip, sort}, serialize) => {
+  const [data, total] = await Promise.all([
+    Model.find(filter).sort(sort).skip(skip).limit(limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    data: serialize ? data.map(document => serialize(document)) : data,
+    pagination: {
+      page: page,
+      limit: limit,
+      total: total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/* Parse a "from"/"to" query value into a Date, undefined when absent. */
+const parseDate = (value) => {
+  if(value === undefined) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/* Parse the from/to date range of a list query (both ends included).
+ * Resolves to {range}, a condition for a date field left undefined when
+ * neither is given, or to {error} on bad input. */
+const parseDateRange = (query) => {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if(from === null || to === null) {
+    return { error: "from and to must be valid dates." };
+  }
+  if(!from && !to) {
+    return { range: undefined };
+  }
+
+  const range = {};
+  if(from) {
+    range.$gte = from;
+  }
+  if(to) {
+    range.$lte = to;
+  }
+  return { range };
+};
+
+/* Escape a user-provided string for use inside a RegExp. */
+const escapeRegExp = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+module.exports = {
+  parseListQuery: parseListQuery,
+  paginate: paginate,
+  parseDateRange: parseDateRange,
+  escapeRegExp: escapeRegExp
+};
@@ -0,0 +1,96 @@
+/* Authorization policy: who may do what.
+ * can(user, action, resource) answers for the logged in user (req.user) and,
+ * for actions on a given document, that document. Routes refuse role-level
+ * actions through the authorize(action) middleware, and check
+ * document-level actions themselves once the document is loaded:
+ *
+ *   if(!can(req.user, "order:read", orderFound)) throw new ForbiddenError();
+ *
+ * Roles:
+ * - User: their own profile and orders.
+ * - Courier: as User, plus the orders assigned to them for delivery.
+ * - Staff: as User, plus every order's status and courier, and stock levels.
+ *   No user management.
+ * - Admin: everything. */
+const {ForbiddenError} = require("./errors");
+
+const hasRole = (...roles) => (user) => !!user && roles.includes(user.role);
+
+const isAdmin = hasRole("Admin");
+const isStaff = hasRole("Admin", "Staff");
+const anyone = (user) => !!user;
+
+const sameId = (id, otherId) => !!id && !!otherId && id.toString() === otherId.toString();
+
+/* The user owns the order. */
+const owns = (user, order) => !!order && sameId(order.user, user.id);
+
+/* The order is assigned to the user for delivery. */
+const delivers = (user, order) => hasRole("Courier")(user) && !!order && sameId(order.courier, user.id);
+
+// action -> rule(user, resource). Unknown actions are refused.
+const RULES = {
+  // Users.
+  "user:list": isAdmin,
+  "user:read": isAdmin,
+  "user:readPrivate": isAdmin,
+  "user:unlock": isAdmin,
+  "user:verify": isAdmin,
+  // Admins can not be deleted (resource: the user to delete).
+  "user:delete": (user, target) => isAdmin(user) && !(target && target.role === "Admin"),
+  // Admins can not change their own role, so there is always one left.
+  "user:changeRole": (user, target) => isAdmin(user) && !(target && sameId(target._id, user.id)),
+  "user:restore": isAdmin,
+  "user:export": isAdmin,
+
+  // Orders (resource: the order).
+  "order:create": anyone,
+  "order:listOwn": anyone,
+  "order:listAny": isStaff,
+  "order:listAssigned": hasRole("Courier"),
+  "order:read": (user, order) => isStaff(user) || owns(user, order) || delivers(user, order),
+  "order:readInternal": isStaff,
+  "order:update": (user, order) => isAdmin(user) || owns(user, order),
+  "order:reassign": isAdmin,
+  "order:delete": (user, order) => isAdmin(user) || owns(user, order),
+  "order:cancel": (user, order) => isStaff(user) || owns(user, order),
+  "order:deliver": (user, order) => isStaff(user) || delivers(user, order),
+  "order:advance": isStaff,
+  "order:assignCourier": isStaff,
+  "order:restore": isAdmin,
+  "order:export": isAdmin,
+
+  // Product catalog.
+  "product:readAll": isStaff,
+  "product:readLowStock": isStaff,
+  "product:create": isAdmin,
+  "product:update": isAdmin,
+  "product:restock": isAdmin,
+  "product:delete": isAdmin,
+
+  // Audit trail.
+  "audit:read": isAdmin,
+
+  // Hard deletion of soft-deleted users and orders.
+  "data:purge": isAdmin
+};
+
+const can = (user, action, resource) => {
+  const rule = RULES[action];
+  return !!rule && rule(user, resource);
+};
+
+/* Route middleware refusing users who may not perform action at all.
+ * Goes after authenticateToken. */
+const authorize = (action) => (req, res, next) => {
+  if(!can(req.user, action)) {
+    req.log.info("Access denied", { action: action });
+    return next(new ForbiddenError("Unauthorized Access."));
+  }
+  next();
+};
+
+module.exports = {
+  can: can,
+  authorize: authorize
+};
@@ -0,0 +1,93 @@
+/* Response shapes for users, orders and audit events.
+ * Handlers never send raw documents: the viewer's permissions (lib/policy.js)
+ * decide which fields are exposed. Password hashes and internal fields (__v)
+ * are never sent. */
+const {can} = require("./policy");
+
+/* A user, as seen by viewer (req.user). Without a viewer (e.g. on
+ * registration) the user is looking at their own profile. */
+const serializeUser = (userFound, viewer) => {
+  if(!userFound) {
+    return null;
+  }
+
+  let body = {
+    _id: userFound._id,
+    name: userFound.name,
+    email: userFound.email,
+    address: userFound.address,
+    role: userFound.role,
+    // Accounts from before email verification count as verified.
+    emailVerified: userFound.emailVerified !== false,
+    createdAt: userFound.createdAt,
+    updatedAt: userFound.updatedAt
+  };
+
+  if(can(viewer, "user:readPrivate", userFound)) {
+    body.emailVerifiedAt = userFound.emailVerifiedAt || null;
+  }
+  return body;
+};
+
+/* An order, as seen by viewer (req.user). */
+const serializeOrder = (orderFound, viewer) => {
+  if(!orderFound) {
+    return null;
+  }
+
+  let body = {
+    _id: orderFound._id,
+    type: orderFound.type,
+    description: orderFound.description,
+    items: orderFound.items.map(item => ({
+      product: item.product,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      subtotal: item.subtotal
+    })),
+    total: orderFound.total,
+    status: orderFound.status,
+    // Orders of users deleted with the anonymize policy have none.
+    user: orderFound.user || null,
+    createdAt: orderFound.createdAt,
+    updatedAt: orderFound.updatedAt
+  };
+  if(orderFound.courier) {
+    body.courier = orderFound.courier;
+  }
+
+  if(can(viewer, "order:readInternal", orderFound)) {
+    body.reservedStock = orderFound.reservedStock.map(reservation => ({
+      product: reservation.product,
+      quantity: reservation.quantity
+    }));
+  }
+  return body;
+};
+
+/* An audit event. Only admins read the trail, so nothing is hidden. */
+const serializeAuditEvent = (eventFound) => {
+  if(!eventFound) {
+    return null;
+  }
+
+  return {
+    _id: eventFound._id,
+    actor: eventFound.actor || null,
+    actorRole: eventFound.actorRole || null,
+    action: eventFound.action,
+    targetType: eventFound.targetType || null,
+    targetId: eventFound.targetId || null,
+    changes: eventFound.changes || null,
+    details: eventFound.details || null,
+    ip: eventFound.ip || null,
+    createdAt: eventFound.createdAt
+  };
+};
+
+module.exports = {
+  serializeUser: serializeUser,
+  serializeOrder: serializeOrder,
+  serializeAuditEvent: serializeAuditEvent
+};
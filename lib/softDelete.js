@@ -0,0 +1,48 @@
+/* Soft deletion for users and orders.
+ * The plugin adds a deletedAt date, set instead of removing the document,
+ * and hides deleted documents from queries: every find, count and update
+ * matches deletedAt: null unless its filter names deletedAt itself, or the
+ * query asks for deleted documents too:
+ *
+ *   Order.findOne({ _id: orderID, deletedAt: { $ne: null } })  // deleted only
+ *   User.exists({ email: email }).setOptions({ withDeleted: true })  // both
+ *
+ * Deletes (findByIdAndDelete, deleteMany...) are left alone: they are the
+ * purge of documents deleted longer than the retention period ago. */
+
+const SOFT_DELETE_RETENTION_DAYS = 30;
+
+const FILTERED_OPERATIONS = [
+  "count", "countDocuments", "distinct",
+  "find", "findOne", "findOneAndReplace", "findOneAndUpdate",
+  "replaceOne", "updateOne", "updateMany"
+];
+
+/* Mongoose plugin, applied to the schemas of soft-deleted models. */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      required: false,
+    }
+  });
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  schema.pre(FILTERED_OPERATIONS, function() {
+    if(!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+};
+
+/* Days a deleted document is kept before it may be purged
+ * (SOFT_DELETE_RETENTION_DAYS, default 30). */
+const retentionDays = () => {
+  const days = Number(process.env.SOFT_DELETE_RETENTION_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : SOFT_DELETE_RETENTION_DAYS;
+};
+
+module.exports = {
+  softDeletePlugin: softDeletePlugin,
+  retentionDays: retentionDays
+};
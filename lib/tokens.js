@@ -0,0 +1,146 @@
+/* Access/refresh token issuing, rotation and revocation,
+ * and the single-use tokens mailed to users (see models/actionToken.js). */
+require('dotenv').config();
+var jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+const user = require("../models/user");
+const User = user.User;
+
+const refreshToken = require("../models/refreshToken");
+const RefreshToken = refreshToken.RefreshToken;
+
+const actionToken = require("../models/actionToken");
+const ActionToken = actionToken.ActionToken;
+
+// Lifetimes in seconds, configurable through the environment.
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/* Issue a short-lived access token and a refresh token for a user.
+ * family links the new refresh token to the one it replaces, if any. */
+const issueTokens = async (userFound, family) => {
+  const accessTokenId = crypto.randomUUID();
+  const accessToken = jwt.sign({
+    id: userFound.id
+  }, process.env.API_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: accessTokenId
+  });
+
+  const newRefreshToken = crypto.randomBytes(48).toString("hex");
+  await new RefreshToken({
+    user: userFound._id,
+    tokenHash: hashToken(newRefreshToken),
+    family: family || crypto.randomUUID(),
+    accessTokenId: accessTokenId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+  }).save();
+
+  return {
+    accessToken: accessToken,
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany({ family: family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+/* Exchange a refresh token for a new token pair.
+ * Resolves to null when the token is unknown, expired, revoked or reused. */
+const rotateRefreshToken = async (presentedToken) => {
+  const tokenFound = await RefreshToken.findOne({ tokenHash: hashToken(presentedToken) });
+  if(!tokenFound || tokenFound.revokedAt || tokenFound.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Claim the token atomically, so two concurrent refreshes can't both succeed.
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: tokenFound._id, rotatedAt: null, revokedAt: null },
+    { rotatedAt: new Date() }
+  );
+  if(!claimed) {
+    // Already rotated: somebody else holds this token.
+    await revokeFamily(tokenFound.family);
+    return null;
+  }
+
+  const userFound = await User.findOne({ _id: tokenFound.user });
+  if(!userFound) {
+    return null;
+  }
+  return issueTokens(userFound, tokenFound.family);
+};
+
+/* Revoke the session (refresh token family) an access token belongs to. */
+const revokeSession = async (accessTokenId) => {
+  const tokenFound = await RefreshToken.findOne({ accessTokenId: accessTokenId });
+  if(tokenFound) {
+    await revokeFamily(tokenFound.family);
+  }
+};
+
+/* Revoke every session of a user, except the one keepAccessTokenId belongs to
+ * (if given). Resolves to the number of tokens revoked. */
+const revokeAllSessions = async (userID, keepAccessTokenId) => {
+  let filter = { user: userID, revokedAt: null };
+  if(keepAccessTokenId) {
+    const keptToken = await RefreshToken.findOne({ accessTokenId: keepAccessTokenId });
+    if(keptToken) {
+      filter.family = { $ne: keptToken.family };
+    }
+  }
+  const result = await RefreshToken.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/* Whether an access token (by jti) still belongs to a live session. */
+const isAccessTokenActive = async (accessTokenId) => {
+  if(!accessTokenId) {
+    return false;
+  }
+  const tokenExists = await RefreshToken.exists({ accessTokenId: accessTokenId, revokedAt: null });
+  return !!tokenExists;
+};
+
+/* Create a single-use token for a user and purpose, valid for ttl seconds.
+ * Earlier unused tokens of the same purpose stop working. */
+const createActionToken = async (userID, purpose, ttl) => {
+  await ActionToken.deleteMany({ user: userID, purpose: purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await new ActionToken({
+    user: userID,
+    purpose: purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  }).save();
+  return token;
+};
+
+/* Use up a single-use token. Resolves to its document (holding the user),
+ * or to null when the token is unknown, expired or already used. */
+const consumeActionToken = async (token, purpose) => {
+  return ActionToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose: purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    {"new": true}
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL: ACCESS_TOKEN_TTL,
+  issueTokens: issueTokens,
+  rotateRefreshToken: rotateRefreshToken,
+  revokeSession: revokeSession,
+  revokeAllSessions: revokeAllSessions,
+  isAccessTokenActive: isAccessTokenActive,
+  createActionToken: createActionToken,
+  consumeActionToken: consumeActionToken
+};
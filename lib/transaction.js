@@ -0,0 +1,44 @@
+/* Multi-document transactions, where the deployment supports them.
+ * withTransaction(work) runs work(session) in a transaction and resolves to
+ * its result. Standalone MongoDB servers (local setups, the test database)
+ * have no transactions: work then runs once with a null session, without
+ * atomicity. Queries pass the session along either way:
+ *
+ *   await withTransaction(session => Order.updateMany(filter, update, { session: session }));
+ */
+const mongoose = require("mongoose");
+
+// MongoServerError code of "Transaction numbers are only allowed on a replica set member or mongos".
+const ILLEGAL_OPERATION = 20;
+
+// Unknown until the first transaction is attempted.
+let transactionsSupported = null;
+
+const withTransaction = async (work) => {
+  if(transactionsSupported === false) {
+    return work(null);
+  }
+
+  const session = await mongoose.connection.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    transactionsSupported = true;
+    return result;
+  } catch(error) {
+    // Only the first statement of a transaction can fail this way: nothing was written.
+    if(error.code === ILLEGAL_OPERATION && transactionsSupported !== true) {
+      transactionsSupported = false;
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction: withTransaction
+};
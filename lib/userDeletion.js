@@ -0,0 +1,147 @@
+/* What happens to a user's orders when the user is deleted.
+ * - cascade: the orders are deleted with the user and give their stock back.
+ *   They carry the user's deletedAt, so restoring the user restores them.
+ * - anonymize: the orders are kept without a user.
+ * - reassign: the orders are given to another user.
+ * USER_DELETION_POLICY sets the default (cascade), USER_DELETION_REASSIGN_TO
+ * the user receiving the orders when it is reassign. Requests can choose
+ * otherwise with ?policy= and ?reassignTo=. */
+require('dotenv').config();
+const mongoose = require("mongoose");
+
+const {withTransaction} = require("./transaction");
+const {NotFoundError, ConflictError} = require("./errors");
+
+const user = require("../models/user");
+const User = user.User;
+
+const order = require("../models/order");
+const Order = order.Order;
+const {STOCK_RESERVING_STATUSES} = order;
+
+const product = require("../models/product");
+const {reserveStock, releaseStock} = product;
+
+const USER_DELETION_POLICIES = ["cascade", "anonymize", "reassign"];
+
+/* Read the policy from the query string, falling back to the configuration.
+ * Without allowReassign (users deleting themselves) reassign can't be asked
+ * for, and a configured reassign default cascades instead.
+ * Resolves to {policy, reassignTo}, or to {error} on bad input. */
+const parseDeletionPolicy = (query, {allowReassign = true} = {}) => {
+  let defaultPolicy = process.env.USER_DELETION_POLICY || "cascade";
+  if(!allowReassign) {
+    if(query.policy === "reassign") {
+      return { error: "Orders can only be reassigned by an admin." };
+    }
+    if(defaultPolicy === "reassign") {
+      defaultPolicy = "cascade";
+    }
+  }
+  const policy = query.policy || defaultPolicy;
+  if(!USER_DELETION_POLICIES.includes(policy)) {
+    return { error: `policy must be one of: ${USER_DELETION_POLICIES.join(", ")}.` };
+  }
+  if(policy !== "reassign") {
+    return { policy };
+  }
+
+  const reassignTo = query.reassignTo || process.env.USER_DELETION_REASSIGN_TO;
+  if(!reassignTo || !mongoose.isValidObjectId(reassignTo)) {
+    return { error: "reassignTo must be a user ID to reassign orders." };
+  }
+  return { policy, reassignTo };
+};
+
+/* Apply the policy to the user's orders and mark the user deleted, in one
+ * transaction where available. Resolves to {userDeleted, orders: {policy,
+ * affected, reassignTo}}, affected being the number of orders changed. */
+const deleteUser = async (userID, {policy, reassignTo}) => {
+  const deletedAt = new Date();
+  let releasedStock = [];
+
+  const result = await withTransaction(async (session) => {
+    const ordersFilter = { user: userID };
+    let ordersUpdate = { user: reassignTo };
+    releasedStock = [];
+    if(policy === "cascade") {
+      const ordersFound = await Order.find(ordersFilter, "reservedStock").session(session);
+      releasedStock = ordersFound.flatMap(orderFound => orderFound.reservedStock);
+      ordersUpdate = { deletedAt: deletedAt, reservedStock: [] };
+    } else if(policy === "anonymize") {
+      ordersUpdate = { $unset: { user: 1 } };
+    }
+
+    const ordersUpdated = await Order.updateMany(ordersFilter, ordersUpdate, { session: session });
+    const userDeleted = await User.findOneAndUpdate({ _id: userID }, { deletedAt: deletedAt }, {"new": true, session: session});
+    if(!userDeleted) {
+      throw new NotFoundError("No user found.");
+    }
+    let orders = { policy: policy, affected: ordersUpdated.modifiedCount };
+    if(reassignTo) {
+      orders.reassignTo = reassignTo;
+    }
+    return { userDeleted: userDeleted, orders: orders };
+  });
+
+  // Stock is not part of the transaction: it is given back once it committed.
+  await releaseStock(releasedStock);
+  return result;
+};
+
+/* Restore a deleted user, with the orders deleted together with them by the
+ * cascade policy (same deletedAt). Orders still placed or confirmed take their
+ * stock again; when any is out of stock nothing is restored. Resolves to
+ * {userRestored, orders: {restored}}. */
+const restoreUser = async (userID) => {
+  const userFound = await User.findOne({ _id: userID, deletedAt: { $ne: null } });
+  if(!userFound) {
+    throw new NotFoundError("No deleted user found.");
+  }
+
+  const ordersFound = await Order.find({ user: userID, deletedAt: userFound.deletedAt });
+  const reservations = [];
+  for(const orderFound of ordersFound) {
+    let reserved = [];
+    if(STOCK_RESERVING_STATUSES.includes(orderFound.status)) {
+      const reservation = await reserveStock(orderFound.items);
+      if(reservation.outOfStock) {
+        await releaseStock(reservations.flatMap(taken => taken.reserved));
+        throw new ConflictError(`${reservation.outOfStock} is out of stock.`);
+      }
+      reserved = reservation.reserved;
+    }
+    reservations.push({ orderId: orderFound._id, reserved: reserved });
+  }
+
+  try {
+    return await withTransaction(async (session) => {
+      for(const {orderId, reserved} of reservations) {
+        await Order.updateOne(
+          { _id: orderId, deletedAt: userFound.deletedAt },
+          { $unset: { deletedAt: 1 }, reservedStock: reserved },
+          { session: session }
+        );
+      }
+      const userRestored = await User.findOneAndUpdate(
+        { _id: userID, deletedAt: userFound.deletedAt },
+        { $unset: { deletedAt: 1 } },
+        {"new": true, session: session}
+      );
+      if(!userRestored) {
+        throw new ConflictError("User restored concurrently.");
+      }
+      return { userRestored: userRestored, orders: { restored: reservations.length } };
+    });
+  } catch(error) {
+    await releaseStock(reservations.flatMap(taken => taken.reserved));
+    throw error;
+  }
+};
+
+module.exports = {
+  USER_DELETION_POLICIES: USER_DELETION_POLICIES,
+  parseDeletionPolicy: parseDeletionPolicy,
+  deleteUser: deleteUser,
+  restoreUser: restoreUser
+};
@@ -0,0 +1,267 @@
+/* Declarative request body validation (express-validator).
+ * validate(schema) checks req.body against an express-validator schema and
+ * fails with a 422 ValidationError listing the problem of each field, including
+ * fields the schema does not know about. Handlers then read the request
+ * through matchedData(req), never by spreading req.body. */
+const mongoose = require("mongoose");
+const {checkSchema, validationResult} = require("express-validator");
+
+const {ValidationError, asyncHandler} = require("./errors");
+
+const user = require("../models/user");
+const {USER_ROLES} = user;
+
+const order = require("../models/order");
+const {ORDER_STATUSES} = order;
+
+/* Fields allowed by a schema: top-level names, and for "field.*.sub" keys,
+ * the names allowed inside each element of that array. */
+const allowedFields = (schema) => {
+  const topLevel = new Set();
+  const nested = {};
+  for(const key of Object.keys(schema)) {
+    const [field, wildcard, subField] = key.split(".");
+    topLevel.add(field);
+    if(wildcard === "*" && subField) {
+      nested[field] = nested[field] || new Set();
+      nested[field].add(subField);
+    }
+  }
+  return { topLevel, nested };
+};
+
+const unknownFieldErrors = (body, {topLevel, nested}) => {
+  const errors = [];
+  if(!body || typeof body !== "object") {
+    return errors;
+  }
+  for(const field of Object.keys(body)) {
+    if(!topLevel.has(field)) {
+      errors.push({ field: field, message: "Unknown field." });
+    } else if(nested[field] && Array.isArray(body[field])) {
+      body[field].forEach((element, index) => {
+        if(element && typeof element === "object") {
+          Object.keys(element)
+            .filter(subField => !nested[field].has(subField))
+            .forEach(subField => errors.push({ field: `${field}[${index}].${subField}`, message: "Unknown field." }));
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+const validate = (schema) => {
+  const chains = checkSchema(schema, ["body"]);
+  const fields = allowedFields(schema);
+
+  return asyncHandler(async (req, res, next) => {
+    await chains.run(req);
+
+    const errors = validationResult(req).array({ onlyFirstError: true })
+      .map(error => ({ field: error.path, message: error.msg }))
+      .concat(unknownFieldErrors(req.body, fields));
+
+    if(errors.length > 0) {
+      throw new ValidationError("Validation failed.", errors);
+    }
+    next();
+  });
+};
+
+/* Reusable field rules. */
+const requiredString = (message) => ({
+  isString: { errorMessage: message },
+  trim: true,
+  notEmpty: { errorMessage: message }
+});
+
+const optionalString = {
+  optional: true,
+  isString: { errorMessage: "Must be a string." }
+};
+
+const email = {
+  isEmail: { errorMessage: "Email is in bad form." },
+  trim: true,
+  toLowerCase: true
+};
+
+const mongoId = (message) => ({
+  isMongoId: { errorMessage: message }
+});
+
+const orderItems = {
+  "items": {
+    optional: true,
+    isArray: { options: { min: 1 }, errorMessage: "Order must contain at least one item." }
+  },
+  "items.*.product": requiredString("Each item needs a product (name or ID)."),
+  "items.*.quantity": {
+    isInt: { options: { min: 1 }, errorMessage: "Item quantities must be positive integers." },
+    toInt: true
+  }
+};
+
+const productFields = {
+  "description": optionalString,
+  "price": {
+    isFloat: { options: { min: 0 }, errorMessage: "Price must be a non-negative number." },
+    toFloat: true
+  },
+  "contents": {
+    optional: true,
+    isArray: { errorMessage: "Contents must be a list." }
+  },
+  "contents.*": requiredString("Contents must be a list of strings."),
+  "active": {
+    optional: true,
+    isBoolean: { options: { strict: true }, errorMessage: "Active must be a boolean." }
+  },
+  "stock": {
+    optional: { options: { values: "null" } },
+    isInt: { options: { min: 0 }, errorMessage: "Stock must be a non-negative integer, or null." },
+    toInt: true
+  },
+  "lowStockThreshold": {
+    optional: true,
+    isInt: { options: { min: 0 }, errorMessage: "Low-stock threshold must be a non-negative integer." },
+    toInt: true
+  }
+};
+
+const schemas = {
+  register: {
+    "name": requiredString("Name is required."),
+    "email": email,
+    "password": requiredString("Password is required."),
+    "address": requiredString("Address is required.")
+  },
+
+  login: {
+    "email": requiredString("Email is required."),
+    "password": requiredString("Password is required.")
+  },
+
+  tokenRefresh: {
+    "refreshToken": requiredString("Refresh token is required.")
+  },
+
+  passwordForgot: {
+    "email": email
+  },
+
+  passwordReset: {
+    "token": requiredString("Token is required."),
+    "password": requiredString("A new password is required.")
+  },
+
+  // "role" is accepted here only to be refused with a 403 by the handler.
+  meUpdate: {
+    "name": { optional: true, ...requiredString("Name can not be empty.") },
+    "email": { optional: true, ...email },
+    "address": { optional: true, ...requiredString("Address can not be empty.") },
+    "role": { optional: true },
+    "password": {
+      optional: true,
+      custom: {
+        options: () => false,
+        errorMessage: "Passwords can only be changed through POST /me/password."
+      }
+    }
+  },
+
+  // Registration only offers User and Admin; other roles are given by an admin.
+  roleChange: {
+    "role": {
+      isIn: { options: [USER_ROLES], errorMessage: "Unknown role." }
+    }
+  },
+
+  // DELETE /me: the password confirms the deletion.
+  meDelete: {
+    "password": requiredString("Password is required.")
+  },
+
+  passwordChange: {
+    "currentPassword": requiredString("Current password is required."),
+    "newPassword": requiredString("A new password is required.")
+  },
+
+  orderCreate: {
+    "type": optionalString,
+    "description": optionalString,
+    ...orderItems
+  },
+
+  // Which of these fields a user may write depends on the role (see endpoints/orders.js).
+  orderUpdate: {
+    "_id": mongoId("Order ID is required."),
+    "type": optionalString,
+    "description": optionalString,
+    "user": { optional: true, ...mongoId("User must be a user ID.") },
+    "status": {
+      optional: true,
+      custom: {
+        options: () => false,
+        errorMessage: "Order status can only be changed through /order/:orderID/status."
+      }
+    },
+    ...orderItems
+  },
+
+  orderStatus: {
+    "status": {
+      isIn: { options: [ORDER_STATUSES], errorMessage: "Unknown order status." }
+    }
+  },
+
+  // null takes the order back from its courier.
+  courierAssign: {
+    // Required, but null unassigns.
+    "courier": {
+      exists: { errorMessage: "Courier is required." },
+      custom: {
+        options: (value) => value === null || (typeof value === "string" && mongoose.isObjectIdOrHexString(value)),
+        errorMessage: "Courier must be a user ID, or null."
+      }
+    }
+  },
+
+  productCreate: {
+    "name": requiredString("Name is required."),
+    ...productFields,
+    "price": {
+      exists: { errorMessage: "Price is required." },
+      ...productFields.price
+    }
+  },
+
+  productUpdate: {
+    "_id": mongoId("Product ID is required."),
+    "name": { optional: true, ...requiredString("Name can not be empty.") },
+    ...productFields,
+    "price": { optional: true, ...productFields.price }
+  },
+
+  // Defaults to SOFT_DELETE_RETENTION_DAYS.
+  purge: {
+    "retentionDays": {
+      optional: true,
+      isInt: { options: { min: 0 }, errorMessage: "Retention must be a non-negative number of days." },
+      toInt: true
+    }
+  },
+
+  restock: {
+    "quantity": {
+      isInt: { options: { min: 1 }, errorMessage: "Restock quantity must be a positive integer." },
+      toInt: true
+    }
+  }
+};
+
+module.exports = {
+  validate: validate,
+  schemas: schemas
+};
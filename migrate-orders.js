@@ -0,0 +1,52 @@
+/* Backfill the fields orders stored before multi-item orders, the status
+ * lifecycle and stock tracking lack: items, total, status and reservedStock,
+ * with the schema defaults. Mongoose fills them in when loading an order, but
+ * queries matching on them (status lists, guarded status changes) need them
+ * stored. Fields already present are left alone, so running it again is
+ * harmless. Run once after upgrading: node migrate-orders.js */
+const mongoose = require("mongoose");
+mongoose.set('strictQuery', true);
+
+require('dotenv').config();
+
+const { Order } = require("./models/order");
+const { logger } = require("./lib/logger");
+
+// Legacy orders never reserved stock, and are priced by their type alone.
+const ORDER_DEFAULTS = {
+  items: [],
+  total: 0,
+  status: "placed",
+  reservedStock: []
+};
+
+// Through the driver: Mongoose would skip deleted documents (lib/softDelete.js)
+// and stamp updatedAt with the current time.
+const backfillOrders = async () => {
+  let modified = 0;
+  for(const [field, value] of Object.entries(ORDER_DEFAULTS)) {
+    const result = await Order.collection.updateMany(
+      { [field]: { $exists: false } },
+      { $set: { [field]: value } }
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+};
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(
+      process.env.DB_ENDPOINT
+    );
+    const fields = await backfillOrders();
+    logger.info("Order fields backfilled", { fields: fields });
+  } catch (error) {
+    logger.error("Orders migration failed", { error: error });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrate();
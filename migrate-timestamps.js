@@ -0,0 +1,43 @@
+/* Backfill createdAt/updatedAt of the users and orders stored before the
+ * models had timestamps, from the creation time embedded in their ObjectId.
+ * Documents that already have them are left alone, so running it again is
+ * harmless. Run once after upgrading: node migrate-timestamps.js */
+const mongoose = require("mongoose");
+mongoose.set('strictQuery', true);
+
+require('dotenv').config();
+
+const { User } = require("./models/user");
+const { Order } = require("./models/order");
+const { logger } = require("./lib/logger");
+
+// Through the driver: Mongoose would skip deleted documents (lib/softDelete.js)
+// and stamp updatedAt with the current time.
+const backfillTimestamps = (Model) => Model.collection.updateMany(
+  { $or: [{ createdAt: { $exists: false } }, { updatedAt: { $exists: false } }] },
+  [{
+    $set: {
+      createdAt: { $ifNull: ["$createdAt", { $toDate: "$_id" }] },
+      updatedAt: { $ifNull: ["$updatedAt", { $ifNull: ["$createdAt", { $toDate: "$_id" }] }] }
+    }
+  }]
+);
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(
+      process.env.DB_ENDPOINT
+    );
+    for(const Model of [User, Order]) {
+      const result = await backfillTimestamps(Model);
+      logger.info("Timestamps backfilled", { model: Model.modelName, documents: result.modifiedCount });
+    }
+  } catch (error) {
+    logger.error("Timestamps migration failed", { error: error });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrate();
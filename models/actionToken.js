@@ -0,0 +1,33 @@
+// @/actionToken.js
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to users to confirm an action
+// (a password reset, or that they own the email they registered with).
+const ActionTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true,
+  },
+  // Only a SHA-256 hash is stored, never the token itself.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Expired documents are removed by MongoDB (TTL index).
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const ActionToken = mongoose.model("ActionToken", ActionTokenSchema);
+
+module.exports = { ActionToken };
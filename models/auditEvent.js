@@ -0,0 +1,56 @@
+// @/auditEvent.js
+const mongoose = require("mongoose");
+
+// Trace of a privileged or security-relevant action, written by lib/audit.js.
+const AuditEventSchema = new mongoose.Schema({
+  // Unset for anonymous actions, such as failed logins.
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  actorRole: {
+    type: String,
+    required: false,
+  },
+  // "<subject>.<verb>", e.g. "user.delete" or "auth.login_failed".
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+    required: false,
+  },
+  targetId: {
+    type: String,
+    required: false,
+  },
+  // Changed fields: { field: { before, after } }.
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  // Anything else worth keeping, e.g. the email of a failed login.
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  ip: {
+    type: String,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    required: true,
+  },
+});
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+
+module.exports = { AuditEvent };
@@ -0,0 +1,30 @@
+// @/loginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed login counters, used by the Mongo store of lib/loginThrottle.js.
+const LoginAttemptSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>".
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Counters are forgotten once the failure window (or lockout) is over (TTL index).
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+module.exports = { LoginAttempt };
@@ -1,24 +1,118 @@
 // @/order.js
 const mongoose = require("mongoose");
 
+const {softDeletePlugin} = require("../lib/softDelete");
+
+// A single order line. Name and unit price are copied from the catalog when
+// the order is placed, so later catalog edits do not change past orders.
+const OrderItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: '{VALUE} is not a valid quantity!'
+    }
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// Allowed status changes: current status -> statuses it may move to.
+// Delivered and cancelled orders are final.
+const ORDER_STATUS_TRANSITIONS = {
+  placed: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['out_for_delivery'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Statuses in which an order holds a stock reservation; later ones were
+// already served from the stock.
+const STOCK_RESERVING_STATUSES = ['placed', 'confirmed'];
+
+const canTransition = (from, to) => {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 const OrderSchema = new mongoose.Schema({
+  // Legacy single-box shorthand: the name of an active catalog product
+  // (see models/product.js). Orders placed with "items" leave it unset.
   type: {
     type: String,
-    enum : ['Box1','Box2'],
-    default: 'Box1',
     required: false,
   },
   description: {
     type: String,
     required: false,
   },
+  items: {
+    type: [OrderItemSchema],
+    default: [],
+  },
+  // Computed by the server from the items, never taken from the request.
+  total: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Only changed through POST /order/:orderID/status, following ORDER_STATUS_TRANSITIONS.
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'placed',
+    required: true,
+  },
+
+  // Stock taken from the catalog for this order, given back on cancellation or
+  // deletion, and emptied once preparing starts (the stock is consumed).
+  reservedStock: {
+    type: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      quantity: Number,
+    }],
+    default: [],
+  },
 
   // Note: We intentionally let this loosely (not required) for DB testing purposes
   // (0-N relationship).
   // Under a normal working environment, this should be mandatory (1-N relationship).
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  // Orders of users deleted with the anonymize policy lose it (see lib/userDeletion.js).
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Courier delivering the order, set through POST /order/:orderID/courier.
+  courier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false }
+}, {
+  // createdAt/updatedAt. Orders stored before timestamps existed get them
+  // from migrate-timestamps.js.
+  timestamps: true
 });
 
+// Date range queries (from/to) of the order lists.
+OrderSchema.index({ createdAt: -1 });
+
+// DELETE /order/:orderID only sets deletedAt, see lib/softDelete.js.
+OrderSchema.plugin(softDeletePlugin);
+
 const Order = mongoose.model("Order", OrderSchema);
 
-module.exports = { Order };
\ No newline at end of file
+module.exports = { Order, ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, STOCK_RESERVING_STATUSES, canTransition };
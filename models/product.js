@@ -0,0 +1,105 @@
+// @/product.js
+const mongoose = require("mongoose");
+
+const ProductSchema = new mongoose.Schema({
+  // The name doubles as the order "type" (e.g. Box1), so it must be unique.
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  contents: {
+    type: [String],
+    default: [],
+  },
+  // Inactive products stay in the catalog (so older orders still resolve),
+  // but can no longer be ordered.
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // Units left to sell. null means stock is not tracked for this product.
+  stock: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // Tracked products at or below this count are reported as low on stock.
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: 0,
+  },
+});
+
+const Product = mongoose.model("Product", ProductSchema);
+
+// The boxes the shop offered before the catalog existed. They are inserted
+// on an empty catalog, so existing deployments keep accepting Box1/Box2 orders.
+const DEFAULT_PRODUCTS = [
+  {
+    name: "Box1",
+    description: "Food box no.1",
+    price: 10,
+    contents: [],
+  },
+  {
+    name: "Box2",
+    description: "Food box no.2",
+    price: 15,
+    contents: [],
+  },
+];
+
+const seedDefaultProducts = async () => {
+  const productCount = await Product.countDocuments();
+  if(productCount === 0) {
+    await Product.insertMany(DEFAULT_PRODUCTS);
+  }
+};
+
+/* Give back previously reserved quantities ([{product, quantity}]). */
+const releaseStock = async (reservations) => {
+  for(const reservation of reservations) {
+    await Product.updateOne(
+      { _id: reservation.product, stock: { $ne: null } },
+      { $inc: { stock: reservation.quantity } }
+    );
+  }
+};
+
+/* Take the ordered quantities out of stock, one atomic decrement per item.
+ * Resolves to {reserved} listing what was taken from tracked products, or to
+ * {outOfStock: productName} with nothing reserved when any item can't be served. */
+const reserveStock = async (items) => {
+  const reserved = [];
+  for(const item of items) {
+    const productUpdated = await Product.findOneAndUpdate(
+      { _id: item.product, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity } }
+    );
+    if(productUpdated) {
+      reserved.push({ product: item.product, quantity: item.quantity });
+      continue;
+    }
+
+    const untracked = await Product.exists({ _id: item.product, stock: null });
+    if(!untracked) {
+      await releaseStock(reserved);
+      return { outOfStock: item.name };
+    }
+  }
+  return { reserved };
+};
+
+module.exports = { Product, seedDefaultProducts, reserveStock, releaseStock };
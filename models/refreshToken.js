@@ -0,0 +1,50 @@
+// @/refreshToken.js
+const mongoose = require("mongoose");
+
+// One document per issued refresh token. Every login starts a new family,
+// and each refresh rotates the token within that family.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Only a SHA-256 hash is stored, never the token itself.
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // The "jti" of the access token issued together with this refresh token.
+  // authenticateToken only accepts access tokens whose document is not revoked.
+  accessTokenId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Expired documents are removed by MongoDB (TTL index).
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  // Set once this token was exchanged for a new one. Presenting it again
+  // means it leaked, and the whole family gets revoked.
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+
+module.exports = { RefreshToken };
@@ -1,6 +1,12 @@
 // @/user.js
 const mongoose = require("mongoose");
 
+const {softDeletePlugin} = require("../lib/softDelete");
+
+// What each role may do is decided in lib/policy.js.
+// Staff handle orders, Couriers deliver the orders assigned to them.
+const USER_ROLES = ['User', 'Staff', 'Courier', 'Admin'];
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,12 +36,38 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum : ['User','Admin'],
+    enum : USER_ROLES,
     default: 'User',
     required: true,
   },
+  // Set to false on registration until the mailed token is confirmed.
+  // Accounts created before verification existed have no value and count as verified.
+  emailVerified: {
+    type: Boolean,
+    required: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    required: false,
+  },
+}, {
+  // createdAt/updatedAt. Users stored before timestamps existed get them
+  // from migrate-timestamps.js.
+  timestamps: true
 });
 
+// Safety net for documents sent without going through lib/serializers.js.
+UserSchema.set("toJSON", {
+  transform: (document, returned) => {
+    delete returned.password;
+    delete returned.__v;
+    return returned;
+  }
+});
+
+// DELETE /user/:userID only sets deletedAt, see lib/softDelete.js.
+UserSchema.plugin(softDeletePlugin);
+
 const User = mongoose.model("User", UserSchema);
 
-module.exports = { User };
\ No newline at end of file
+module.exports = { User, USER_ROLES };
\ No newline at end of file